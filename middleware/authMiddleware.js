@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -29,6 +30,12 @@ const protect = async (req, res, next) => {
                 return res.status(401).json({ message: 'Not authorized, user not found' });
             }
 
+            // Logging out everywhere or changing the password bumps the
+            // user's tokenVersion; tokens signed before that no longer count
+            if (decoded.tv !== req.user.tokenVersion) {
+                return res.status(401).json({ message: 'Not authorized, session revoked' });
+            }
+
             next(); // User is valid, proceed to the next step
         } catch (error) {
             console.error(error);
@@ -41,13 +48,14 @@ const protect = async (req, res, next) => {
     }
 };
 
-// This middleware checks if the user is an Admin
-const admin = (req, res, next) => {
-    if (req.user && req.user.isAdmin) {
-        next(); // User is logged in AND is an admin, proceed.
+// This middleware checks if the user's staff role allows an action
+// (see utils/permissions.js). Use it after `protect`.
+const requirePermission = (permission) => (req, res, next) => {
+    if (hasPermission(req.user, permission)) {
+        next(); // User is logged in AND allowed to do this, proceed.
     } else {
-        res.status(403).json({ message: 'Not authorized as an admin' }); // 403 Forbidden
+        res.status(403).json({ message: `Not authorized: requires ${permission}` }); // 403 Forbidden
     }
 };
 
-module.exports = { protect, admin };
\ No newline at end of file
+module.exports = { protect, requirePermission };
\ No newline at end of file
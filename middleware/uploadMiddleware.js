@@ -0,0 +1,66 @@
+const path = require('path');
+const multer = require('multer');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+
+// Uploads are kept in memory: images are resized and spreadsheets parsed
+// straight away, and neither is written anywhere in its original form.
+const MAX_UPLOAD_MB = parseFloat(process.env.MAX_UPLOAD_MB || '5');
+const MAX_SPREADSHEET_MB = parseFloat(process.env.MAX_SPREADSHEET_MB || '10');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Browsers report CSVs under several types, so spreadsheets go by extension
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+    fileFilter: (req, file, callback) => {
+        if (!IMAGE_TYPES.includes(file.mimetype)) {
+            return callback(new HttpError(400, 'Only JPEG, PNG or WebP images are allowed.'));
+        }
+        callback(null, true);
+    },
+});
+
+const spreadsheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_SPREADSHEET_MB * 1024 * 1024 },
+    fileFilter: (req, file, callback) => {
+        if (!SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+            return callback(new HttpError(400, 'Please upload a .csv or .xlsx file.'));
+        }
+        callback(null, true);
+    },
+});
+
+const uploadErrorMessage = (error, maxMb) => {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE': return `Each file must be ${maxMb} MB or smaller.`;
+        case 'LIMIT_FILE_COUNT': return 'Too many files in one upload.';
+        default: return error.message;
+    }
+};
+
+// Wraps a multer handler so its errors come back as JSON like the rest of the API
+const handleUpload = (multerHandler, maxMb) => (req, res, next) => {
+    multerHandler(req, res, (error) => {
+        if (!error) return next();
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ message: uploadErrorMessage(error, maxMb) });
+        }
+        if (sendHttpError(res, error)) return;
+        next(error);
+    });
+};
+
+// Accepts up to `maxCount` images in the multipart field `field` (req.files)
+const uploadImages = (field, maxCount) => handleUpload(imageUpload.array(field, maxCount), MAX_UPLOAD_MB);
+
+// Accepts one image in the multipart field `field` (req.file)
+const uploadImage = (field) => handleUpload(imageUpload.single(field), MAX_UPLOAD_MB);
+
+// Accepts one .csv or .xlsx file in the multipart field `field` (req.file)
+const uploadSpreadsheet = (field) => handleUpload(spreadsheetUpload.single(field), MAX_SPREADSHEET_MB);
+
+module.exports = { uploadImages, uploadImage, uploadSpreadsheet };
@@ -1,7 +1,8 @@
 const mongoose = require('mongoose');
 
 // This schema defines an item *inside* the cart.
-// It is bound to a *specific variant* (size + colorName).
+// It is bound to a *specific variant*: `variant` is its _id. Items added
+// before variant ids were stored only have size + colorName.
 const cartItemSchema = new mongoose.Schema({
     product: {
         type: mongoose.Schema.Types.ObjectId,
@@ -17,11 +18,21 @@ const cartItemSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Regular price when `price` is a sale price
+    listPrice: {
+        type: Number
+    },
     image: {
         type: String,
         required: true
     },
     // --- V3.0 Variant-Specific Fields ---
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+        type: String
+    },
     size: {
         type: String,
         required: true
@@ -38,7 +49,7 @@ const cartItemSchema = new mongoose.Schema({
         default: 1
     }
 }, { 
-    // We use a composite key (product + size + colorName)
+    // We use a composite key (product + variant)
     // so we don't need a separate _id for each cart item.
     _id: false 
 });
@@ -52,6 +63,10 @@ const cartSchema = new mongoose.Schema({
         unique: true // Each user has exactly one cart
     },
     items: [cartItemSchema],
+    // Set by POST /api/cart/apply-coupon and used at checkout
+    couponCode: {
+        type: String
+    },
 }, {
     timestamps: true
 });
@@ -1,20 +1,123 @@
 const mongoose = require('mongoose');
 
+// Denormalised so "Women > Ethnic Wear > Kurtas" renders without extra lookups
+const ancestorSchema = new mongoose.Schema({
+    _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+    name: { type: String },
+}, { _id: false });
+
 const categorySchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
-        unique: true 
+        trim: true,
+    },
+    // null for a top-level category
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
     },
-    parentCategory: {
+    // Materialised path of ids, root first and ending with this category:
+    // ',<rootId>,<childId>,'. A prefix match finds a category and its whole subtree.
+    path: {
         type: String,
-        required: true,
-        enum: ['Men', 'Women', 'Kids', 'None'], 
-        default: 'None'
-    }
+        index: true,
+    },
+    ancestors: [ancestorSchema],
+    depth: {
+        type: Number,
+        default: 0,
+    },
+    // Set when archived: hidden from the storefront's category lists
+    archivedAt: {
+        type: Date,
+    },
+    archivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
 }, {
     timestamps: true
 });
 
+// Names only need to be unique among siblings ("Kurtas" under Men and under Women)
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+
+// Works out path / ancestors / depth from the parent, refusing cycles
+categorySchema.pre('validate', async function () {
+    if (!this.isNew && !this.isModified('parent') && !this.isModified('name') && this.path) {
+        return;
+    }
+
+    // Remember where the subtree was so post('save') can move it along
+    if (!this.isNew) {
+        this.$locals.previousPath = this.path;
+        this.$locals.previousDepth = this.depth;
+    }
+
+    if (!this.parent) {
+        this.ancestors = [];
+        this.depth = 0;
+        this.path = `,${this._id},`;
+        return;
+    }
+
+    const parent = await this.constructor.findById(this.parent);
+    if (!parent) {
+        this.invalidate('parent', 'Parent category not found.');
+        return;
+    }
+    if (parent.path.includes(`,${this._id},`)) {
+        this.invalidate('parent', "A category can't be moved under itself or one of its subcategories.");
+        return;
+    }
+
+    this.ancestors = [...parent.ancestors, { _id: parent._id, name: parent.name }];
+    this.depth = parent.depth + 1;
+    this.path = `${parent.path}${this._id},`;
+});
+
+// After a move or rename, rewrite the path and ancestors of everything underneath
+categorySchema.post('save', async function () {
+    const { previousPath, previousDepth } = this.$locals;
+    if (!previousPath) return;
+    delete this.$locals.previousPath;
+    delete this.$locals.previousDepth;
+
+    const descendants = await this.constructor
+        .find({ path: new RegExp(`^${previousPath}`), _id: { $ne: this._id } })
+        .select('path ancestors depth')
+        .lean();
+    if (descendants.length === 0) return;
+
+    const ownAncestors = [...this.ancestors.map(a => ({ _id: a._id, name: a.name })), { _id: this._id, name: this.name }];
+
+    await this.constructor.bulkWrite(descendants.map(d => ({
+        updateOne: {
+            filter: { _id: d._id },
+            update: {
+                $set: {
+                    path: this.path + d.path.slice(previousPath.length),
+                    ancestors: [...ownAncestors, ...d.ancestors.slice(previousDepth + 1)],
+                    depth: this.depth + (d.depth - previousDepth),
+                },
+            },
+        },
+    })));
+});
+
+/**
+ * Ids of the given categories plus everything beneath them.
+ *
+ * @param {Array<{path: string}>} categories
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>}
+ */
+categorySchema.statics.subtreeIds = async function (categories) {
+    if (categories.length === 0) return [];
+    const subtree = await this.find({ $or: categories.map(c => ({ path: new RegExp(`^${c.path}`) })) }).select('_id');
+    return subtree.map(c => c._id);
+};
+
 // **THE FIX for OverwriteModelError**
-module.exports = mongoose.models.Category || mongoose.model('Category', categorySchema);
\ No newline at end of file
+module.exports = mongoose.models.Category || mongoose.model('Category', categorySchema);
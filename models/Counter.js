@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named, atomically incremented sequences (e.g. invoice numbers per financial year).
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String, // The sequence name, e.g. 'invoice-2025-26'
+        required: true
+    },
+    seq: {
+        type: Number,
+        required: true,
+        default: 0
+    }
+});
+
+/**
+ * Returns the next value of a named sequence, creating it at 1.
+ * Inside a transaction (pass `session`) the value is only used up if it commits.
+ */
+counterSchema.statics.next = async function (name, { session } = {}) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required.'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['percentage', 'flat']
+    },
+    // Percent off (0-100) for 'percentage', rupees off for 'flat'
+    value: {
+        type: Number,
+        required: [true, 'Discount value is required.'],
+        min: [0, 'Discount value cannot be negative.'],
+        validate: {
+            validator: function(v) {
+                return this.type !== 'percentage' || v <= 100;
+            },
+            message: 'A percentage discount cannot exceed 100.'
+        }
+    },
+    // Optional cap on a percentage discount, in rupees
+    maxDiscount: {
+        type: Number,
+        min: 0
+    },
+    minCartValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    startsAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date
+    },
+    // Total redemptions allowed across all customers (empty = unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // Paid orders that used this coupon
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    // Scoping: if both are empty the coupon applies to the whole cart
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
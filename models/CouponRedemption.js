@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One row per paid order that used a coupon. Written only after payment is
+// verified, so abandoned checkouts never use up a customer's coupon.
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true // An order can only redeem once
+    },
+    discount: {
+        type: Number,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.CouponRedemption || mongoose.model('CouponRedemption', couponRedemptionSchema);
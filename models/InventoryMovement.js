@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_REASONS = [
+    'initial',      // Stock a variant was created with
+    'sale',         // Paid online order / placed COD order
+    'cancellation', // Cancelled or deleted order put back
+    'return',       // Received return put back
+    'restock',      // New stock arrived
+    'adjustment',   // Manual correction (stock count, product edit)
+    'damage',       // Written off
+    'import',       // Spreadsheet import
+];
+
+// One change to a variant's stock. The ledger is append-only: entries are
+// written next to the stock update they describe (utils/inventory.js and the
+// Product model) and never edited or removed.
+const inventoryMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    sku: { type: String },
+    // Units in (positive) or out (negative)
+    delta: {
+        type: Number,
+        required: true
+    },
+    // Stock left once this movement was applied
+    quantityAfter: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        enum: MOVEMENT_REASONS
+    },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+    // The admin or customer whose action caused it; empty for system changes
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String, trim: true }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ variant: 1, createdAt: -1 });
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+const appendOnly = function () {
+    throw new Error('Inventory movements are append-only.');
+};
+inventoryMovementSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    appendOnly
+);
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.InventoryMovement || mongoose.model('InventoryMovement', inventoryMovementSchema);
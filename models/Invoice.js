@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One line of a tax invoice. Either CGST + SGST (intra-state) or IGST
+// (inter-state) is filled in, never both.
+const invoiceLineSchema = new mongoose.Schema({
+    description: { type: String, required: true },
+    hsnCode: { type: String, required: true },
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+    taxRate: { type: Number, required: true }, // e.g. 0.05
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true }
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    address: { type: String },
+    state: { type: String },
+    gstin: { type: String }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true // e.g. VW/2025-26/000042
+    },
+    financialYear: {
+        type: String,
+        required: true // e.g. 2025-26
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    supplyType: {
+        type: String,
+        required: true,
+        enum: ['intra_state', 'inter_state']
+    },
+    lines: [invoiceLineSchema],
+    totals: {
+        taxableValue: { type: Number, required: true },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        shipping: { type: Number, default: 0 },
+        codFee: { type: Number, default: 0 },
+        grandTotal: { type: Number, required: true }
+    },
+    issuedAt: {
+        type: Date,
+        required: true
+    },
+    // Bumped every time an admin regenerates the invoice; the number never changes
+    version: {
+        type: Number,
+        default: 1
+    },
+    regeneratedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.Invoice || mongoose.model('Invoice', invoiceSchema);
@@ -1,11 +1,22 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../utils/orderStatus');
 
 // This schema defines what an individual item in the cart looks like
 const orderItemSchema = new mongoose.Schema({
     name: { type: String, required: true },
     quantity: { type: Number, required: true },
     price: { type: Number, required: true },
+    discount: { type: Number, default: 0 }, // Share of the coupon discount
+    tax: { type: Number, default: 0 }, // Line tax, from utils/pricing.js
+    taxRate: { type: Number }, // e.g. 0.05
     image: { type: String, required: true },
+    // The product variant's _id and SKU (empty on orders placed before SKUs)
+    variant: { type: mongoose.Schema.Types.ObjectId },
+    sku: { type: String },
+    compareAtPrice: { type: Number }, // MRP at the time of the order
+    // Regular unit price, and the sale that brought `price` below it
+    listPrice: { type: Number },
+    saleCampaign: { type: mongoose.Schema.Types.ObjectId, ref: 'SaleCampaign' },
     size: { type: String, required: true },
     
     // **FIXED: This is the 'colorName' fix from our previous step**
@@ -18,6 +29,23 @@ const orderItemSchema = new mongoose.Schema({
     },
 });
 
+// One entry in the order timeline. Written only by utils/orderStatus.js.
+const statusHistorySchema = new mongoose.Schema({
+    status: { type: String, required: true, enum: ORDER_STATUSES },
+    from: { type: String, enum: ORDER_STATUSES },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Empty for system/webhook changes
+    note: { type: String },
+    changedAt: { type: Date, required: true, default: Date.now },
+}, { _id: false });
+
+// A carrier tracking update, as reported by the carrier adapter.
+const trackingEventSchema = new mongoose.Schema({
+    status: { type: String, required: true },
+    description: { type: String },
+    location: { type: String },
+    occurredAt: { type: Date, required: true },
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema(
     {
         user: {
@@ -30,48 +58,174 @@ const orderSchema = new mongoose.Schema(
             fullName: { type: String, required: true },
             address: { type: String, required: true },
             city: { type: String, required: true },
+            // Needed to split GST into CGST/SGST or IGST (older orders may lack it)
+            state: { type: String },
             postalCode: { type: String, required: true },
             country: { type: String, required: true },
             phone: { type: String, required: true },
         },
+        // Buyer's GSTIN for B2B invoices (optional)
+        billingGstin: {
+            type: String,
+            uppercase: true,
+            trim: true,
+            match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN'],
+        },
+        // How the customer pays. COD orders follow their own status rules (utils/orderStatus.js).
+        paymentMethod: {
+            type: String,
+            required: true,
+            enum: ['razorpay', 'cod'],
+            default: 'razorpay',
+        },
+        // Filled in when a COD order's cash is confirmed as collected
+        codCollection: {
+            amount: { type: Number },
+            source: { type: String, enum: ['admin', 'courier'] },
+            confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            collectedAt: { type: Date },
+        },
         paymentDetails: {
             razorpayPaymentId: { type: String },
             razorpayOrderId: { type: String },
             razorpaySignature: { type: String },
             paymentMethod: { type: String }, 
+            // Set from the `payment.failed` webhook so support can see why
+            failureReason: { type: String },
+            failedAt: { type: Date },
+        },
+        // Refunds reported by Razorpay (`refund.processed` webhook)
+        refunds: [
+            {
+                razorpayRefundId: { type: String, required: true },
+                amount: { type: Number, required: true }, // In rupees
+                status: { type: String },
+                processedAt: { type: Date },
+            },
+        ],
+        // Booked through a carrier adapter (utils/carriers)
+        shipment: {
+            carrier: { type: String },
+            awbNumber: { type: String, index: true },
+            trackingUrl: { type: String },
+            status: { type: String },
+            expectedDeliveryDate: { type: Date },
+            events: [trackingEventSchema],
+            bookedAt: { type: Date },
+            lastSyncedAt: { type: Date },
+        },
+        // Itemised breakdown computed server-side by utils/pricing.js
+        pricing: {
+            subtotal: { type: Number, default: 0 },
+            shipping: { type: Number, default: 0 },
+            tax: { type: Number, default: 0 },
+            discount: { type: Number, default: 0 },
+            codFee: { type: Number, default: 0 },
+            grandTotal: { type: Number, default: 0 },
         },
+        // The coupon applied at checkout (counted as redeemed once paid)
+        coupon: {
+            coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+            code: { type: String },
+            discount: { type: Number },
+        },
+        // Always equal to pricing.grandTotal for new orders
         totalPrice: {
             type: Number,
             required: true,
             default: 0.0,
         },
-        isPaid: {
-            type: Boolean,
+        // Single source of truth for where the order is.
+        // Change it only through transitionOrder() in utils/orderStatus.js.
+        status: {
+            type: String,
             required: true,
-            default: false,
+            enum: ORDER_STATUSES,
+            default: 'pending_payment',
+            index: true,
         },
+        statusHistory: [statusHistorySchema],
         paidAt: {
             type: Date,
         },
-        isDelivered: {
-            type: Boolean,
-            required: true,
-            default: false,
-        },
         deliveredAt: {
             type: Date,
         },
-        isCancelled: {
-            type: Boolean,
-            required: true,
-            default: false,
+        cancelledAt: {
+            type: Date,
+        },
+        // Set when the order's stock was actually decremented; cleared if it's restocked
+        stockCommittedAt: {
+            type: Date,
+        },
+        // Set when a paid order couldn't be fulfilled and is refunded automatically
+        autoRefund: {
+            reason: { type: String },
+            lines: [
+                {
+                    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+                    name: { type: String },
+                    variant: { type: mongoose.Schema.Types.ObjectId },
+                    size: { type: String },
+                    colorName: { type: String },
+                    quantity: { type: Number },
+                },
+            ],
+            status: { type: String, enum: ['pending', 'initiated', 'failed'] },
+            razorpayRefundId: { type: String },
+            error: { type: String },
+            flaggedAt: { type: Date },
+        },
+        // Set while a staff refund of a cancelled online order is requested
+        // (utils/payments.js refundCancelledOrder), so it is only sent once
+        refundRequestedAt: {
+            type: Date,
+        },
+        // Payments captured when the order could no longer take them (it was
+        // cancelled, or already paid by another payment). Each is refunded in full.
+        strayPayments: [
+            {
+                razorpayPaymentId: { type: String, required: true },
+                reason: { type: String },
+                status: { type: String, enum: ['pending', 'initiated', 'processed', 'failed'] },
+                razorpayRefundId: { type: String },
+                error: { type: String },
+                flaggedAt: { type: Date },
+            },
+        ],
+        // When this order's stock holds lapse (see utils/reservations.js)
+        reservationExpiresAt: {
+            type: Date,
+        },
+        // Set when archived: left out of the admin order list by default but
+        // kept (and still queryable) for accounting
+        archivedAt: {
+            type: Date,
+            index: true,
+        },
+        archivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
         },
     },
     {
         timestamps: true, 
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
     }
 );
 
+// Read-only stand-ins for the old boolean flags, so existing clients keep working.
+orderSchema.virtual('isPaid').get(function () {
+    return Boolean(this.paidAt);
+});
+orderSchema.virtual('isDelivered').get(function () {
+    return Boolean(this.deliveredAt);
+});
+orderSchema.virtual('isCancelled').get(function () {
+    return Boolean(this.cancelledAt);
+});
+
 // **THE FIX for OverwriteModelError**
 // This checks if the model already exists before trying to create it.
 module.exports = mongoose.models.Order || mongoose.model('Order', orderSchema);
\ No newline at end of file
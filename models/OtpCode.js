@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A one-time code texted to a phone (see utils/otp.js). Only an HMAC of the
+// code is kept. It works once, until it expires, for a few tries.
+const otpCodeSchema = new mongoose.Schema({
+    // 10 digits, as on User.phone
+    phone: {
+        type: String,
+        required: true
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['login', 'link'] // Sign in / up, or add the phone to the logged-in account
+    },
+    // For 'link': the account the phone is being added to
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    // Times this code has been checked, the right guess included. Counted
+    // before comparing (utils/otp.js), so parallel guesses can't skip the limit
+    attempts: {
+        type: Number,
+        required: true,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    consumedAt: {
+        type: Date
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Expired codes are useless, so MongoDB can drop them
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.OtpCode || mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One change to a variant's regular price (product price or variant
+// override), written by the Product model whenever a save changes it.
+// Sale prices aren't logged here: they follow from this log plus the
+// SaleCampaigns that were running (see utils/sales.js).
+const priceHistorySchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    sku: { type: String },
+    price: {
+        type: Number,
+        required: true
+    },
+    // What it cost just before; empty for a variant's first entry
+    previousPrice: { type: Number },
+    compareAtPrice: { type: Number },
+    changedAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    // The admin who made the change, when it came through the API
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    source: {
+        type: String,
+        enum: ['admin', 'import', 'system'],
+        default: 'system'
+    }
+});
+
+priceHistorySchema.index({ product: 1, changedAt: -1 });
+priceHistorySchema.index({ variant: 1, changedAt: -1 });
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.PriceHistory || mongoose.model('PriceHistory', priceHistorySchema);
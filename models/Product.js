@@ -1,6 +1,32 @@
 const mongoose = require("mongoose");
+const PriceHistory = require("./PriceHistory");
+const InventoryMovement = require("./InventoryMovement");
 
 const variantSchema = new mongoose.Schema({
+    // Stock-keeping unit, unique across the catalogue. Generated from the
+    // product id, size and colour when not given.
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9][A-Z0-9-_.]{1,39}$/, "SKU may only use letters, digits, '-', '_' and '.' (2-40 characters)."],
+    },
+    // EAN/UPC/GTIN printed on the tag
+    barcode: {
+        type: String,
+        trim: true,
+        match: [/^\d{8,14}$/, "Barcode must be 8 to 14 digits."],
+    },
+    // Selling price for this variant; empty means the product's price
+    price: {
+        type: Number,
+        min: [0, "Price cannot be negative."],
+    },
+    // MRP shown crossed out next to the selling price
+    compareAtPrice: {
+        type: Number,
+        min: [0, "Compare-at price cannot be negative."],
+    },
     size: {
         type: String,
         required: [true, "Variant size is required (e.g., 'M' or 'One Size')."],
@@ -21,6 +47,18 @@ const variantSchema = new mongoose.Schema({
     },
 }, { _id: true }); 
 
+// Files behind an image uploaded through the API (utils/images.js). `url` is
+// the entry in `images` it belongs to, so replaced images can be cleaned up.
+const uploadedImageSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    storage: { type: String, required: true },
+    files: [String],
+    // { thumbnail: { webp, fallback }, card: {...}, zoom: {...} }
+    variants: { type: mongoose.Schema.Types.Mixed },
+    width: Number,
+    height: Number,
+}, { _id: false });
+
 
 const productSchema = new mongoose.Schema(
     {
@@ -34,22 +72,59 @@ const productSchema = new mongoose.Schema(
             type: String,
             required: [true, "Product description is required."],
         },
+        // Default selling price; variants may override it
         price: {
             type: Number,
             required: [true, "Product price is required."],
             min: [0, "Price cannot be negative."],
         },
+        // Cheapest and dearest variant prices, kept in sync on save, for
+        // listing filters and sorts
+        minPrice: { type: Number },
+        maxPrice: { type: Number },
         category: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "Category",
             required: [true, "Product category is required."],
         },
+        // Harmonized System code printed on GST invoices (e.g. '6211')
+        hsnCode: {
+            type: String,
+            trim: true,
+            match: [/^\d{4,8}$/, "HSN code must be 4 to 8 digits."],
+        },
+        // Shipping weight of one piece, used for shipping-zone rates
+        weightGrams: {
+            type: Number,
+            min: [0, "Weight cannot be negative."],
+            default: 250,
+        },
+        // Units sold, net of restocks; drives the "popular" sort
+        salesCount: {
+            type: Number,
+            default: 0,
+        },
+        // Set when archived: hidden from the storefront and can't be added to
+        // carts, but still there for past orders. Purging deletes it for good.
+        archivedAt: {
+            type: Date,
+        },
+        archivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        // Approved reviews only; kept in sync by Review.refreshProductRating
+        rating: {
+            average: { type: Number, default: 0 },
+            count: { type: Number, default: 0 },
+        },
         images: [
             {
                 type: String,
                 required: [true, "At least one product image is required."],
             },
         ],
+        imageUploads: [uploadedImageSchema],
         variants: {
             type: [variantSchema],
             validate: {
@@ -63,5 +138,145 @@ const productSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
+// Listing filters and sorts (GET /api/products), which skip archived products
+productSchema.index({ archivedAt: 1, category: 1, minPrice: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ salesCount: -1 });
+// SKUs are unique across products. Partial so products saved before SKUs
+// existed don't collide on null until they're backfilled.
+productSchema.index(
+    { "variants.sku": 1 },
+    { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+const skuPart = (text) => String(text).toUpperCase().replace(/[^A-Z0-9]+/g, "").slice(0, 8) || "X";
+
+// Fills in missing SKUs, checks variants are distinct and MRPs make sense,
+// and refreshes minPrice / maxPrice
+productSchema.pre("validate", function () {
+    const seen = new Map();
+    this.variants.forEach((variant, index) => {
+        if (!variant.sku && variant.size && variant.colorName) {
+            variant.sku = `${this._id.toString().slice(-6).toUpperCase()}-${skuPart(variant.size)}-${skuPart(variant.colorName)}`;
+        }
+
+        const key = `${variant.size}|${variant.colorName}`.toLowerCase();
+        if (seen.has(key)) {
+            this.invalidate(`variants.${index}.size`, `Variant ${variant.size} / ${variant.colorName} is listed twice.`);
+        }
+        seen.set(key, index);
+        if (variant.sku && seen.has(`sku:${variant.sku}`)) {
+            this.invalidate(`variants.${index}.sku`, `SKU ${variant.sku} is used by two variants.`);
+        }
+        seen.set(`sku:${variant.sku}`, index);
+
+        const sellingPrice = variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+        if (variant.compareAtPrice !== undefined && variant.compareAtPrice !== null && variant.compareAtPrice < sellingPrice) {
+            this.invalidate(`variants.${index}.compareAtPrice`, "Compare-at price (MRP) cannot be lower than the selling price.");
+        }
+    });
+
+    const prices = this.variants.map(v => (v.price !== undefined && v.price !== null ? v.price : this.price));
+    if (prices.length > 0 && prices.every(Number.isFinite)) {
+        this.minPrice = Math.min(...prices);
+        this.maxPrice = Math.max(...prices);
+    }
+});
+
+// Each variant's regular price (its override, else the product price)
+const regularPrices = (product) => new Map(product.variants.map(v => [
+    v._id.toString(),
+    { price: v.price !== undefined && v.price !== null ? v.price : product.price, compareAtPrice: v.compareAtPrice },
+]));
+
+const stockLevels = (product) => new Map(product.variants.map(v => [v._id.toString(), v.stock]));
+
+// Remember prices and stock as loaded, so the saves below can tell what changed
+productSchema.post("init", function () {
+    this.$locals.originalPrices = regularPrices(this);
+    this.$locals.originalStock = stockLevels(this);
+});
+
+// Logs every regular price change to PriceHistory. Routes may set
+// `$locals.changedBy` and `$locals.priceSource` to say who made it.
+// Both logs below are written in the save's own session: save price or
+// stock changes with `save({ session })` inside a transaction, so a product
+// never commits without its log rows (or the other way round). The
+// as-loaded snapshots only move on outside a session, because a transaction
+// that is retried saves the document again and has to log the same changes.
+productSchema.post("save", async function () {
+    const before = this.$locals.originalPrices || new Map();
+    const after = regularPrices(this);
+    const changedAt = new Date();
+
+    const entries = [];
+    after.forEach(({ price, compareAtPrice }, variantId) => {
+        const previous = before.get(variantId);
+        if (previous && previous.price === price && previous.compareAtPrice === compareAtPrice) return;
+        const variant = this.variants.id(variantId);
+        entries.push({
+            product: this._id,
+            variant: variant._id,
+            sku: variant.sku,
+            price,
+            previousPrice: previous ? previous.price : undefined,
+            compareAtPrice,
+            changedAt,
+            changedBy: this.$locals.changedBy,
+            source: this.$locals.priceSource || "system",
+        });
+    });
+
+    if (entries.length > 0) {
+        await PriceHistory.insertMany(entries, { session: this.$session() });
+    }
+    if (!this.$session()) this.$locals.originalPrices = after;
+});
+
+// Stock edited through the document (product create/edit, imports) goes in
+// the inventory ledger like any other movement. Sales, returns and manual
+// adjustments use atomic updates in utils/inventory.js and log themselves.
+// Routes may set `$locals.stockReason` ("import"); otherwise it's "initial"
+// for new variants and "adjustment" for edits.
+productSchema.post("save", async function () {
+    const before = this.$locals.originalStock || new Map();
+    const after = stockLevels(this);
+
+    const movements = [];
+    after.forEach((stock, variantId) => {
+        const previous = before.get(variantId);
+        const delta = stock - (previous || 0);
+        if (delta === 0) return;
+        const variant = this.variants.id(variantId);
+        movements.push({
+            product: this._id,
+            variant: variant._id,
+            sku: variant.sku,
+            delta,
+            quantityAfter: stock,
+            reason: this.$locals.stockReason || (previous === undefined ? "initial" : "adjustment"),
+            user: this.$locals.changedBy,
+        });
+    });
+    // Deleting a variant writes off whatever it still had
+    before.forEach((stock, variantId) => {
+        if (after.has(variantId) || !stock) return;
+        movements.push({
+            product: this._id,
+            variant: variantId,
+            delta: -stock,
+            quantityAfter: 0,
+            reason: this.$locals.stockReason || "adjustment",
+            user: this.$locals.changedBy,
+            note: "Variant removed",
+        });
+    });
+
+    if (movements.length > 0) {
+        await InventoryMovement.insertMany(movements, { session: this.$session() });
+    }
+    if (!this.$session()) this.$locals.originalStock = after;
+});
+
 // **THE FIX for OverwriteModelError**
 module.exports = mongoose.models.Product || mongoose.model("Product", productSchema);
\ No newline at end of file
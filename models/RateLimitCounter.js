@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One fixed-window request counter for the Mongo rate-limit store
+// (utils/rateLimit/mongoStore.js), shared by every server instance.
+const rateLimitCounterSchema = new mongoose.Schema({
+    // '<limit name>:<ip or account>'
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        required: true,
+        default: 0
+    },
+    // When the current window ends and the count starts again
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Finished windows are useless, so MongoDB can drop them
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One refresh token handed to a client (see utils/authTokens.js). Only a
+// SHA-256 of the token is kept. Each refresh replaces the token with a new
+// one in the same family; presenting a replaced token again means it was
+// copied, and the whole family is revoked.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Shared by every token descended from one login
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokeReason: {
+        type: String // 'rotated', 'logout', 'logout_all', 'password_changed',
+                     // 'password_reset', 'reuse_detected'
+    },
+    // The token this one was rotated into
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RefreshToken'
+    },
+    userAgent: { type: String },
+    ip: { type: String }
+}, {
+    timestamps: true
+});
+
+// Expired tokens are useless, so MongoDB can drop them
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.RefreshToken || mongoose.model('RefreshToken', refreshTokenSchema);
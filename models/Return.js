@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// Which status a return may move to from each status.
+const RETURN_TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['received', 'rejected'],
+    received: ['refunding'],
+    // Claimed by one refund request while Razorpay is called (routes/returnRoutes.js);
+    // back to `received` if the call fails
+    refunding: ['refunded', 'received'],
+    rejected: [],
+    refunded: [],
+};
+
+// One returned line. Copies the order item so the return stays readable
+// even if the order is later edited or deleted.
+const returnItemSchema = new mongoose.Schema({
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    name: { type: String, required: true },
+    variant: { type: mongoose.Schema.Types.ObjectId }, // Empty for orders placed before SKUs
+    size: { type: String, required: true },
+    colorName: { type: String, required: true },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Return quantity must be at least 1.']
+    },
+    price: { type: Number, required: true }, // Unit price paid, incl. tax
+    restocked: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true,
+        enum: Object.keys(RETURN_TRANSITIONS)
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: { type: String },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const returnSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    items: {
+        type: [returnItemSchema],
+        validate: {
+            validator: (v) => Array.isArray(v) && v.length > 0,
+            message: 'A return must contain at least one item.'
+        }
+    },
+    reason: {
+        type: String,
+        required: [true, 'Please tell us why you are returning these items.'],
+        trim: true
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: Object.keys(RETURN_TRANSITIONS),
+        default: 'requested'
+    },
+    statusHistory: [statusChangeSchema],
+    refund: {
+        // Razorpay for online orders; COD orders are refunded by hand (bank
+        // transfer, UPI) and staff record the payment's `reference`
+        method: { type: String, enum: ['razorpay', 'manual'], default: 'razorpay' },
+        reference: { type: String, trim: true },
+        razorpayRefundId: { type: String },
+        amount: { type: Number }, // In rupees
+        status: { type: String },
+        requestedAt: { type: Date },
+        processedAt: { type: Date }
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Moves the return to a new status and appends it to the history.
+ * Returns false (and changes nothing) if the move isn't allowed.
+ */
+returnSchema.methods.setStatus = function (status, changedBy, note) {
+    if (!RETURN_TRANSITIONS[this.status].includes(status)) {
+        return false;
+    }
+    this.status = status;
+    this.statusHistory.push({ status, changedBy, note });
+    return true;
+};
+
+/**
+ * The full refundable value of the returned items.
+ */
+returnSchema.methods.itemsValue = function () {
+    const total = this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    return Math.round(total * 100) / 100;
+};
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.Return || mongoose.model('Return', returnSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+const FIT_OPTIONS = ['runs_small', 'true_to_size', 'runs_large'];
+const MAX_PHOTOS = 6;
+
+// A product review. Only buyers with a delivered order for the product can
+// write one, and it stays out of public listings until a moderator approves it.
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The delivered order that makes this a verified purchase
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    // Size bought, copied from the order so fit feedback has context
+    size: { type: String },
+    rating: {
+        type: Number,
+        required: [true, 'Please give a rating from 1 to 5.'],
+        min: [1, 'Rating must be between 1 and 5.'],
+        max: [5, 'Rating must be between 1 and 5.'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number.'
+        }
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [120, 'Review title cannot exceed 120 characters.']
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: [5000, 'Review cannot exceed 5000 characters.']
+    },
+    photos: {
+        type: [String],
+        validate: {
+            validator: (v) => v.length <= MAX_PHOTOS && v.every(url => /^https?:\/\//.test(url)),
+            message: `Up to ${MAX_PHOTOS} photo links (http/https) are allowed.`
+        }
+    },
+    fit: {
+        type: String,
+        enum: FIT_OPTIONS
+    },
+    status: {
+        type: String,
+        enum: REVIEW_STATUSES,
+        default: 'pending',
+        index: true
+    },
+    moderation: {
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date },
+        note: { type: String }
+    },
+    // Users who found this helpful; the count is kept alongside for sorting
+    helpfulVoters: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    helpfulCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+/**
+ * Summarises a product's approved reviews: average, count, count per star
+ * and fit feedback.
+ *
+ * @param {mongoose.Types.ObjectId|string} productId
+ * @returns {Promise<{average: number, count: number, distribution: object, fit: object}>}
+ */
+reviewSchema.statics.summarise = async function (productId) {
+    const rows = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+        {
+            $facet: {
+                stars: [{ $group: { _id: '$rating', count: { $sum: 1 } } }],
+                fit: [{ $match: { fit: { $in: FIT_OPTIONS } } }, { $group: { _id: '$fit', count: { $sum: 1 } } }],
+            }
+        }
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let total = 0;
+    rows[0].stars.forEach(row => {
+        distribution[row._id] = row.count;
+        count += row.count;
+        total += row._id * row.count;
+    });
+
+    const fit = Object.fromEntries(FIT_OPTIONS.map(option => [option, 0]));
+    rows[0].fit.forEach(row => { fit[row._id] = row.count; });
+
+    return {
+        average: count ? Math.round((total / count) * 10) / 10 : 0,
+        count,
+        distribution,
+        fit,
+    };
+};
+
+/**
+ * Recomputes the rating stored on the product from its approved reviews.
+ * Call after anything that changes which reviews are approved or their ratings.
+ */
+reviewSchema.statics.refreshProductRating = async function (productId) {
+    const { average, count } = await this.summarise(productId);
+    await mongoose.model('Product').updateOne(
+        { _id: productId },
+        { $set: { 'rating.average': average, 'rating.count': count } }
+    );
+};
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.Review || mongoose.model('Review', reviewSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A timed sale (Diwali, Eid ...): a reduction on some products and/or
+// categories between `startsAt` and `endsAt`, applied to listing, cart and
+// order prices by utils/sales.js. Product prices themselves are not touched.
+// If two campaigns cover the same product, the customer gets the lower price;
+// they never stack.
+//
+// Once a campaign has started, only its name, description and an earlier end
+// may change, so past sale prices can always be worked out from it.
+const saleCampaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Campaign name is required.'],
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['percentage', 'flat']
+    },
+    // Percent off (0-100) for 'percentage', rupees off each unit for 'flat'
+    value: {
+        type: Number,
+        required: [true, 'Discount value is required.'],
+        min: [0, 'Discount value cannot be negative.'],
+        validate: {
+            validator: function(v) {
+                return this.type !== 'percentage' || v <= 100;
+            },
+            message: 'A percentage discount cannot exceed 100.'
+        }
+    },
+    // Scoping: if both are empty the sale covers the whole catalogue.
+    // Categories include everything beneath them.
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    startsAt: {
+        type: Date,
+        required: [true, 'Please set when the sale starts.']
+    },
+    endsAt: {
+        type: Date,
+        required: [true, 'Please set when the sale ends.'],
+        validate: {
+            validator: function(v) {
+                return !this.startsAt || v > this.startsAt;
+            },
+            message: 'The sale must end after it starts.'
+        }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+saleCampaignSchema.index({ startsAt: 1, endsAt: 1 });
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.SaleCampaign || mongoose.model('SaleCampaign', saleCampaignSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One price band inside a zone. The first band whose weight and cart-value
+// ranges both contain the order is used; an empty max means "no upper limit".
+const shippingRateSchema = new mongoose.Schema({
+    minWeightGrams: { type: Number, default: 0, min: 0 },
+    maxWeightGrams: { type: Number, min: 0 },
+    minCartValue: { type: Number, default: 0, min: 0 },
+    maxCartValue: { type: Number, min: 0 },
+    price: {
+        type: Number,
+        required: [true, 'Rate price is required.'],
+        min: [0, 'Rate price cannot be negative.']
+    }
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Zone name is required.'],
+        unique: true,
+        trim: true
+    },
+    // PIN-code prefixes, e.g. ['400', '401'] for Mumbai. The longest matching prefix wins.
+    pinPrefixes: [{
+        type: String,
+        trim: true,
+        match: [/^\d{1,6}$/, 'PIN prefixes must be 1 to 6 digits.']
+    }],
+    // Used when no PIN prefix matches, e.g. ['Maharashtra']
+    states: [{
+        type: String,
+        trim: true
+    }],
+    // Catch-all zone for addresses no other zone covers
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    rates: {
+        type: [shippingRateSchema],
+        validate: {
+            validator: (v) => Array.isArray(v) && v.length > 0,
+            message: 'A shipping zone needs at least one rate.'
+        }
+    },
+    // Orders at or above this value ship free (empty = never free)
+    freeShippingThreshold: {
+        type: Number,
+        min: 0
+    },
+    codAvailable: {
+        type: Boolean,
+        default: true
+    },
+    estimatedDays: {
+        min: { type: Number, default: 3 },
+        max: { type: Number, default: 7 }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.ShippingZone || mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A temporary hold on some quantity of one product variant, created with an
+// unpaid order so nobody else can buy the same last piece while they pay.
+const stockReservationSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // The variant subdocument _id inside Product.variants
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: ['active', 'released', 'consumed'],
+        default: 'active'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    releasedAt: {
+        type: Date
+    },
+    releaseReason: {
+        type: String // 'expired', 'cancelled', 'renewed', ...
+    }
+}, {
+    timestamps: true
+});
+
+// "How much of this variant is currently held?" is the hot query.
+stockReservationSchema.index({ variant: 1, status: 1, expiresAt: 1 });
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.StockReservation || mongoose.model('StockReservation', stockReservationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { STAFF_ROLES } = require('../utils/permissions');
 
 const shippingAddressSchema = new mongoose.Schema({
     fullName: {
@@ -51,24 +52,58 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // An account has an email, a phone, or both (linked). Sparse, so the
+    // unique indexes skip accounts without one.
     email: {
         type: String,
-        required: true,
+        required: [function () { return !this.phone; }, 'Email or phone is required'],
         unique: true, 
+        sparse: true,
     },
+    // Accounts made by phone (OTP) sign in without one
     password: {
         type: String,
+        required: [function () { return Boolean(this.email); }, 'Password is required'],
+    },
+    // 10 digits, like shipping address phones (+91 is assumed)
+    phone: {
+        type: String,
+        unique: true,
+        sparse: true,
+        match: [/^\d{10}$/, 'Phone must be a 10-digit number'],
+    },
+    phoneVerified: {
+        type: Boolean,
         required: true,
+        default: false
     },
+    // Kept in step with `role` below: true for any member of staff
     isAdmin: {
         type: Boolean,
         required: true,
         default: false, 
     },
+    // Staff role (utils/permissions.js); empty for customers
+    role: {
+        type: String,
+        enum: STAFF_ROLES
+    },
+    // The owner who invited this staff member, for accounts created that way
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     profilePicture: {
         type: String,
         default: '', 
     },
+    // Set when the picture was uploaded here (utils/images.js), so it can be
+    // deleted when replaced
+    profilePictureUpload: {
+        storage: { type: String },
+        files: [String],
+        variants: { type: mongoose.Schema.Types.Mixed },
+    },
     shippingAddresses: {
         type: [shippingAddressSchema],
         validate: [
@@ -86,11 +121,54 @@ const userSchema = new mongoose.Schema({
     },
     resetPasswordExpires: {
         type: Date
-    }
+    },
     // ===============================================
+    emailVerified: {
+        type: Boolean,
+        required: true,
+        default: false
+    },
+    // SHA-256 of the token mailed out; never sent back to clients
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date
+    },
+    // For the resend cooldown
+    emailVerificationSentAt: {
+        type: Date
+    },
+    // Login lockout (utils/accountLockout.js): failures since the last
+    // success or lock, locks since the last success, and the current lock
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    loginLockouts: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date
+    },
+    // Part of every access token; bumping it logs the user out everywhere
+    // (see utils/authTokens.js)
+    tokenVersion: {
+        type: Number,
+        required: true,
+        default: 0
+    }
 }, {
     timestamps: true 
 });
 
+userSchema.pre('validate', function () {
+    if (this.isModified('role')) {
+        this.isAdmin = Boolean(this.role);
+    }
+});
+
 // **THE FIX for OverwriteModelError**
 module.exports = mongoose.models.User || mongoose.model('User', userSchema);
\ No newline at end of file
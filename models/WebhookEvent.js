@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One document per webhook delivery we have accepted.
+// The unique eventId is what makes webhook processing idempotent.
+const webhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true,
+        default: 'razorpay'
+    },
+    eventId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    processedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// **THE FIX for OverwriteModelError**
+module.exports = mongoose.models.WebhookEvent || mongoose.model('WebhookEvent', webhookEventSchema);
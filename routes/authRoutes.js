@@ -1,20 +1,82 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
 const crypto = require('crypto'); // Built-in Node.js module
-const sgMail = require('@sendgrid/mail'); // SendGrid package
+const { uploadImage } = require('../middleware/uploadMiddleware');
+const { storeImage, removeStoredImages } = require('../utils/images');
+const { sendHttpError } = require('../utils/httpError');
+const { issueSession, rotateRefreshToken, revokeRefreshToken, revokeSessions } = require('../utils/authTokens');
+const { sendEmail, layout, button, pageUrl } = require('../utils/email');
+const { roleOf, permissionsFor } = require('../utils/permissions');
+const { rateLimit, sendTooManyRequests, describeWait } = require('../utils/rateLimit');
+const { lockRemaining, recordFailedLogin, clearFailedLogins } = require('../utils/accountLockout');
+const { normalizePhone, sendOtp, checkOtp, consumeOtp } = require('../utils/otp');
+
+// How long an email verification link works, and how soon another can be sent
+const EMAIL_VERIFICATION_TTL_HOURS = parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24');
+const EMAIL_VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || '60', 10);
+
+// Brute-force limits, per client IP and per account (the email in the body).
+// Failed logins also lock the account itself; see utils/accountLockout.js.
+const MINUTE = 60 * 1000;
+const accountKey = (req) => String(req.body.email || '').trim().toLowerCase();
+const loginLimits = [
+    rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 20 }),
+    rateLimit({ name: 'login-account', windowMs: 15 * MINUTE, max: 10, key: accountKey }),
+];
+// Each request sends an email, so these are tight
+const forgotPasswordLimits = [
+    rateLimit({ name: 'forgot-password-ip', windowMs: 60 * MINUTE, max: 5 }),
+    rateLimit({ name: 'forgot-password-account', windowMs: 60 * MINUTE, max: 3, key: accountKey }),
+];
+const tokenCheckLimit = (name) => rateLimit({ name, windowMs: 15 * MINUTE, max: 10 });
+// Each code is a paid SMS; each code also allows only a few guesses (utils/otp.js)
+const phoneKey = (req) => normalizePhone(req.body.phone);
+const otpRequestLimits = [
+    rateLimit({ name: 'otp-request-ip', windowMs: 60 * MINUTE, max: 10 }),
+    rateLimit({ name: 'otp-request-phone', windowMs: 60 * MINUTE, max: 5, key: phoneKey }),
+];
+const otpVerifyLimit = rateLimit({ name: 'otp-verify-ip', windowMs: 15 * MINUTE, max: 20 });
+
+// What register, login, refresh and OTP sign-in send back
+const sessionResponse = (user, { token, refreshToken }) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    isAdmin: user.isAdmin,
+    role: roleOf(user),
+    permissions: permissionsFor(user),
+    emailVerified: user.emailVerified,
+    phoneVerified: user.phoneVerified,
+    token: token,
+    refreshToken: refreshToken,
+});
 
-// Configure SendGrid
-// It will automatically read the SENDGRID_API_KEY from your .env file
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
-// Utility function to generate a token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d',
+/**
+ * Gives the user a fresh verification token (replacing any earlier one)
+ * and emails them the link.
+ */
+const sendVerificationEmail = async (user, req) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    user.emailVerificationToken = hashToken(token);
+    user.emailVerificationExpires = Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000;
+    user.emailVerificationSentAt = Date.now();
+    await user.save();
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Vardhan Wears - Please verify your email',
+        html: layout(`
+                    <h2>Welcome to Vardhan Wears, ${user.name}!</h2>
+                    <p>Please confirm this is your email address so we can send you your order updates:</p>
+                    <p>${button(pageUrl(req, 'verify-email.html', token), 'Verify Your Email')}</p>
+                    <p>This link is valid for <strong>${EMAIL_VERIFICATION_TTL_HOURS} hours</strong>.</p>
+                    <p>If you did not create an account, please ignore this email.</p>`),
     });
 };
 
@@ -49,14 +111,14 @@ router.post('/register', async (req, res) => {
         });
 
         if (user) {
-            const token = generateToken(user._id);
-            res.status(201).json({
-                _id: user._id,
-                name: user.name,
-                email: user.email,
-                isAdmin: user.isAdmin,
-                token: token,
-            });
+            // The account works without it; they can ask for another link
+            try {
+                await sendVerificationEmail(user, req);
+            } catch (emailError) {
+                console.error('Verification email error:', emailError);
+            }
+
+            res.status(201).json(sessionResponse(user, await issueSession(user, req)));
         } else {
             res.status(400).json({ message: 'Invalid user data' });
         }
@@ -71,20 +133,28 @@ router.post('/register', async (req, res) => {
  * @desc    Authenticate user & get token
  * @access  Public
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimits, async (req, res) => {
     const { email, password } = req.body;
     try {
-        const user = await User.findOne({ email });
-        if (user && (await bcrypt.compare(password, user.password))) {
-            const token = generateToken(user._id);
-            res.json({
-                _id: user._id,
-                name: user.name,
-                email: user.email,
-                isAdmin: user.isAdmin,
-                token: token,
-            });
+        // Accounts made by phone have no email, so never look one up by a missing one
+        const user = email ? await User.findOne({ email }) : null;
+
+        // A locked account can't log in, even with the right password
+        const lockedFor = user ? lockRemaining(user) : 0;
+        if (lockedFor > 0) {
+            return sendTooManyRequests(res, lockedFor, `This account is locked after too many failed logins. Try again in ${describeWait(lockedFor)} or reset your password.`);
+        }
+
+        if (user && user.password && password && (await bcrypt.compare(password, user.password))) {
+            await clearFailedLogins(user);
+            res.json(sessionResponse(user, await issueSession(user, req)));
         } else {
+            if (user) {
+                const lockSeconds = await recordFailedLogin(user, req);
+                if (lockSeconds > 0) {
+                    return sendTooManyRequests(res, lockSeconds, `Too many failed logins. This account is locked for ${describeWait(lockSeconds)}; we've emailed its owner.`);
+                }
+            }
             res.status(401).json({ message: 'Invalid email or password' });
         }
     } catch (error) {
@@ -93,6 +163,297 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Swap a refresh token for a new access token and refresh token.
+ *          Each refresh token works once; reusing one logs out that session.
+ * @access  Public (needs a refresh token)
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { user, token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+        res.json(sessionResponse(user, { token, refreshToken }));
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Refresh token error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke this device's refresh token. Its access token runs out
+ *          on its own within minutes.
+ * @access  Public (needs a refresh token)
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        await revokeRefreshToken(req.body.refreshToken);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    End every session of the user, on all devices
+ * @access  Private
+ */
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        await revokeSessions(req.user._id, 'logout_all');
+        res.json({ message: 'Logged out of all devices' });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/otp/request
+ * @desc    Text a sign-in code to a phone number (works for new numbers too)
+ * @access  Public
+ */
+router.post('/otp/request', otpRequestLimits, async (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) {
+            return res.status(400).json({ message: 'Please enter a valid 10-digit mobile number.' });
+        }
+
+        const { expiresIn } = await sendOtp(phone, 'login');
+        res.json({ message: 'We have sent a code to your phone.', expiresIn });
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('OTP request error:', error);
+        res.status(500).json({ message: 'Error sending the code.' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/otp/verify
+ * @desc    Sign in with a texted code. A number without an account gets one;
+ *          send `name` for that (the reply says `needsName` when it's missing).
+ * @access  Public
+ */
+router.post('/otp/verify', otpVerifyLimit, async (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) {
+            return res.status(400).json({ message: 'Please enter a valid 10-digit mobile number.' });
+        }
+
+        const otp = await checkOtp(phone, 'login', req.body.code);
+
+        let user = await User.findOne({ phone });
+        const name = String(req.body.name || '').trim();
+        if (!user && !name) {
+            // The code stays valid for the retry with a name
+            return res.status(422).json({ message: 'Tell us your name to finish creating your account.', needsName: true });
+        }
+
+        await consumeOtp(otp);
+        const isNew = !user;
+        if (isNew) {
+            user = await User.create({ name, phone, phoneVerified: true });
+        } else if (!user.phoneVerified) {
+            user.phoneVerified = true;
+            await user.save();
+        }
+
+        res.status(isNew ? 201 : 200).json(sessionResponse(user, await issueSession(user, req)));
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('OTP verify error:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'An account was just created for this number. Please sign in again.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/phone/link/request
+ * @desc    Text a code to a number the logged-in user wants to add to their account
+ * @access  Private
+ */
+router.post('/phone/link/request', protect, otpRequestLimits, async (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) {
+            return res.status(400).json({ message: 'Please enter a valid 10-digit mobile number.' });
+        }
+        if (req.user.phone === phone && req.user.phoneVerified) {
+            return res.status(400).json({ message: 'This number is already linked to your account.' });
+        }
+        if (await User.exists({ phone, _id: { $ne: req.user._id } })) {
+            return res.status(409).json({ message: 'That number is already linked to another account.' });
+        }
+
+        const { expiresIn } = await sendOtp(phone, 'link', { user: req.user._id });
+        res.json({ message: 'We have sent a code to your phone.', expiresIn });
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Phone link request error:', error);
+        res.status(500).json({ message: 'Error sending the code.' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/phone/link/verify
+ * @desc    Add the number to the logged-in user's account with the texted code.
+ *          Afterwards they can sign in with either their email or the phone.
+ * @access  Private
+ */
+router.post('/phone/link/verify', protect, otpVerifyLimit, async (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) {
+            return res.status(400).json({ message: 'Please enter a valid 10-digit mobile number.' });
+        }
+
+        const otp = await checkOtp(phone, 'link', req.body.code, { user: req.user._id });
+        if (await User.exists({ phone, _id: { $ne: req.user._id } })) {
+            return res.status(409).json({ message: 'That number is already linked to another account.' });
+        }
+        await consumeOtp(otp);
+
+        const user = await User.findById(req.user._id);
+        user.phone = phone;
+        user.phoneVerified = true;
+        await user.save();
+
+        res.json({ message: 'Your phone number has been linked.', phone: user.phone, phoneVerified: true });
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Phone link verify error:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'That number is already linked to another account.' });
+        }
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/email/link
+ * @desc    Add an email and password to an account made by phone, so it can
+ *          also sign in with them. A verification link is emailed.
+ * @access  Private
+ */
+router.post('/email/link', protect, async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim();
+        const { password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({ message: 'Please enter all fields' });
+        }
+        if (password.length < 6) {
+            return res.status(400).json({ message: 'Password must be at least 6 characters' });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (user.email) {
+            return res.status(400).json({ message: 'Your account already has an email address.' });
+        }
+        if (await User.exists({ email })) {
+            return res.status(409).json({ message: 'That email is already linked to another account.' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.email = email;
+        user.password = await bcrypt.hash(password, salt);
+        user.emailVerified = false;
+        await user.save();
+
+        // The email is linked either way; they can ask for another link
+        try {
+            await sendVerificationEmail(user, req);
+        } catch (emailError) {
+            console.error('Verification email error:', emailError);
+        }
+
+        res.json({ message: 'Your email has been added. Please check your inbox to verify it.', email: user.email, emailVerified: false });
+    } catch (error) {
+        console.error('Email link error:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'That email is already linked to another account.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm the user's email address with the token from the link
+ * @access  Public
+ */
+router.post('/verify-email', tokenCheckLimit('verify-email-ip'), async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ message: 'Verification token is required.' });
+        }
+
+        const user = await User.findOne({
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: { $gt: Date.now() }
+        });
+        if (!user) {
+            return res.status(400).json({ message: 'Verification link is invalid or has expired.' });
+        }
+
+        user.emailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+        await user.save();
+
+        res.json({ message: 'Your email has been verified.', emailVerified: true });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email the logged-in user a new verification link
+ * @access  Private
+ */
+router.post('/resend-verification', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.email) {
+            return res.status(400).json({ message: 'Add an email address to your account first.' });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ message: 'Your email is already verified.' });
+        }
+
+        const sentAt = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+        const waitSeconds = Math.ceil((sentAt + EMAIL_VERIFICATION_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+        if (waitSeconds > 0) {
+            return sendTooManyRequests(res, waitSeconds, `Please wait ${waitSeconds} seconds before asking for another email.`);
+        }
+
+        await sendVerificationEmail(user, req);
+        res.json({ message: 'A new verification link has been sent.' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Error sending verification email.' });
+    }
+});
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get user profile (for auth check)
@@ -105,7 +466,7 @@ router.get('/me', protect, async (req, res) => {
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
-        res.json(user);
+        res.json({ ...user.toObject(), role: roleOf(user), permissions: permissionsFor(user) });
     } catch (error) {
         console.error('Get /me error:', error);
         res.status(500).json({ message: 'Server Error' });
@@ -156,6 +517,9 @@ router.put('/change-password', protect, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        if (!user.password) {
+            return res.status(400).json({ message: 'Your account signs in with a phone code. Add an email to set a password.' });
+        }
         if (!(await bcrypt.compare(currentPassword, user.password))) {
             return res.status(401).json({ message: 'Invalid current password' });
         }
@@ -167,7 +531,11 @@ router.put('/change-password', protect, async (req, res) => {
         const salt = await bcrypt.genSalt(10);
         user.password = await bcrypt.hash(newPassword, salt);
         await user.save();
-        res.json({ message: 'Password updated successfully' });
+
+        // Log out every other device, but keep this one signed in
+        const updatedUser = await revokeSessions(user._id, 'password_changed');
+        const { token, refreshToken } = await issueSession(updatedUser, req);
+        res.json({ message: 'Password updated successfully', token, refreshToken });
     } catch (error) {
         console.error('Change password error:', error);
         res.status(500).json({ message: 'Server Error' });
@@ -185,10 +553,22 @@ router.put('/profile-picture', protect, async (req, res) => {
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
+        // A pasted URL replaces any picture uploaded here, so its files go
+        const replacedUpload = req.body.profilePicture && req.body.profilePicture !== user.profilePicture
+            && user.profilePictureUpload && user.profilePictureUpload.files.length
+            ? user.profilePictureUpload
+            : null;
+
         user.profilePicture = req.body.profilePicture || user.profilePicture;
+        if (replacedUpload) {
+            user.profilePictureUpload = undefined;
+        }
         
         // ============ THIS IS THE FIX ============
         const updatedUser = await user.save();
+        if (replacedUpload) {
+            await removeStoredImages([replacedUpload]);
+        }
         // Send back the same clean object
         res.json({
             _id: updatedUser._id,
@@ -205,6 +585,54 @@ router.put('/profile-picture', protect, async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/auth/profile-picture/upload
+ * @desc    Upload a profile picture (multipart field `avatar`, JPEG/PNG/WebP)
+ * @access  Private
+ */
+router.post('/profile-picture/upload', protect, uploadImage('avatar'), async (req, res) => {
+    let stored = null;
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'Please choose an image to upload' });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        stored = await storeImage(req.file.buffer, { prefix: `avatars/${user._id}`, preset: 'avatar' });
+        const previousUpload = user.profilePictureUpload && user.profilePictureUpload.files.length
+            ? user.profilePictureUpload
+            : null;
+
+        user.profilePicture = stored.url;
+        user.profilePictureUpload = { storage: stored.storage, files: stored.files, variants: stored.variants };
+        const updatedUser = await user.save();
+
+        if (previousUpload) {
+            await removeStoredImages([previousUpload]);
+        }
+
+        res.json({
+            _id: updatedUser._id,
+            name: updatedUser.name,
+            email: updatedUser.email,
+            isAdmin: updatedUser.isAdmin,
+            profilePicture: updatedUser.profilePicture,
+            profilePictureVariants: stored.variants
+        });
+    } catch (error) {
+        if (stored) {
+            await removeStoredImages([stored]);
+        }
+        if (sendHttpError(res, error)) return;
+        console.error('Upload profile picture error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
 /**
  * @route   GET /api/auth/addresses
  * @desc    Get user's saved addresses
@@ -289,10 +717,10 @@ router.delete('/addresses/:addrId', protect, async (req, res) => {
  * @desc    Generate and email a password reset token
  * @access  Public
  */
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', forgotPasswordLimits, async (req, res) => {
     try {
         const { email } = req.body;
-        const user = await User.findOne({ email });
+        const user = email ? await User.findOne({ email }) : null;
 
         if (!user) {
             // We don't want to reveal if a user exists or not
@@ -307,44 +735,26 @@ router.post('/forgot-password', async (req, res) => {
         user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
         await user.save();
 
-        // 3. Create the reset link
-        // We get the host from the request headers
-        const host = req.get('host');
-        const protocol = req.protocol;
-        // This link will point to our new frontend page
-        const resetURL = `${protocol}://${host}/reset-password.html?token=${token}`;
+        // 3. Create the reset link to our frontend page
+        const resetURL = pageUrl(req, 'reset-password.html', token);
 
-        // 4. Create the email message
-        const msg = {
+        // 4. Send the email via SendGrid
+        await sendEmail({
             to: user.email,
-            from: process.env.FROM_EMAIL, // Your verified SendGrid sender
             subject: 'Vardhan Wears - Password Reset Request',
-            html: `
-                <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+            html: layout(`
                     <h2>Password Reset Request</h2>
                     <p>You are receiving this email because you (or someone else) requested a password reset for your account on Vardhan Wears.</p>
                     <p>Please click on the link below, or paste it into your browser to complete the process:</p>
-                    <p><a href="${resetURL}" style="color: #db2777; font-weight: bold; text-decoration: none;">Reset Your Password</a></p>
+                    <p>${button(resetURL, 'Reset Your Password')}</p>
                     <p>This link is valid for <strong>1 hour</strong>.</p>
-                    <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
-                    <br>
-                    <p>Thank you,</p>
-                    <p>The Vardhan Wears Team</p>
-                </div>
-            `,
-        };
-
-        // 5. Send the email via SendGrid
-        await sgMail.send(msg);
+                    <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>`),
+        });
 
         res.status(200).json({ message: 'If an account with that email exists, a reset link has been sent.' });
 
     } catch (error) {
         console.error('Forgot Password error:', error);
-        // Log SendGrid errors
-        if (error.response) {
-            console.error(error.response.body);
-        }
         res.status(500).json({ message: 'Error sending password reset email.' });
     }
 });
@@ -355,7 +765,7 @@ router.post('/forgot-password', async (req, res) => {
  * @desc    Process the password reset
  * @access  Public
  */
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', tokenCheckLimit('reset-password-ip'), async (req, res) => {
     try {
         const { token, newPassword } = req.body;
 
@@ -377,11 +787,20 @@ router.post('/reset-password', async (req, res) => {
         const salt = await bcrypt.genSalt(10);
         user.password = await bcrypt.hash(newPassword, salt);
 
-        // 3. Clear the token fields and save the user
+        // 3. Clear the token fields and save the user. The link came
+        // through their inbox, so that also proves the address is theirs.
+        user.emailVerified = true;
         user.resetPasswordToken = undefined;
         user.resetPasswordExpires = undefined;
+        // Resetting is also the way out of a lockout
+        user.failedLoginAttempts = 0;
+        user.loginLockouts = 0;
+        user.lockUntil = undefined;
         await user.save();
 
+        // 4. Whoever had the old password may still be logged in
+        await revokeSessions(user._id, 'password_reset');
+
         res.status(200).json({ message: 'Password has been reset successfully. You can now log in.' });
 
     } catch (error) {
@@ -5,12 +5,46 @@ const { protect } = require('../middleware/authMiddleware');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const User = require('../models/User'); // We need this to associate the cart
+const { getHeldQuantities, availableStock } = require('../utils/reservations');
+const { buildQuote } = require('../utils/pricing');
+const { sendHttpError } = require('../utils/httpError');
+const { findVariant, loadVariant } = require('../utils/variants');
+const { runningCampaigns, currentPrice } = require('../utils/sales');
 
 // Pre-load Product model to prevent population issues
 if (!mongoose.models.Product) {
     require('../models/Product');
 }
 
+// A variant can be named by `variantId`, `sku` or (the old way) size + colorName
+const hasVariantRef = ({ variantId, sku, size, colorName }) => Boolean(variantId || sku || (size && colorName));
+
+// Whether a cart line holds this product variant. Lines saved before variant
+// ids were stored only have size + colour to go on.
+const isLine = (item, productId, variant) => item.product.toString() === String(productId) && (
+    item.variant
+        ? item.variant.toString() === String(variant._id)
+        : item.size === variant.size && item.colorName === variant.colorName
+);
+
+// Today's price for a line (sale included) and the regular price it's down from
+const linePrices = (product, variant, campaigns) => {
+    const { price, listPrice } = currentPrice(product, variant, campaigns);
+    return { price, listPrice };
+};
+
+// The variant fields a cart line stores, taken from the catalogue rather than the client
+const lineFields = (product, variant, campaigns) => ({
+    product: product._id,
+    variant: variant._id,
+    sku: variant.sku,
+    name: product.name,
+    ...linePrices(product, variant, campaigns),
+    image: product.images[0],
+    size: variant.size,
+    colorName: variant.colorName
+});
+
 /**
  * @route   GET /api/cart
  * @desc    Get the logged-in user's cart (and validate it)
@@ -26,31 +60,38 @@ router.get('/', protect, async (req, res) => {
 
         let canCheckout = true;
         let subtotal = 0;
+        const campaigns = await runningCampaigns();
 
         const validatedItems = await Promise.all(
             cart.items.map(async (item) => {
                 // We use item.product because that's the ref ID in the schema
                 const product = await Product.findById(item.product);
                 
-                if (!product) {
+                // Archived products can't be bought any more
+                if (!product || product.archivedAt) {
                     canCheckout = false;
                     return { 
                         ...item.toObject(), 
                         product: item.product, // Ensure ID is passed back
                         realStock: 0, 
                         isOutOfStock: true, 
+                        isArchived: Boolean(product),
                         hasSufficientStock: false 
                     };
                 }
                 
-                const variant = product.variants.find(
-                    v => v.size === item.size && v.colorName === item.colorName
-                );
+                const variant = findVariant(product, item);
+                // Prices move with sales, so show today's rather than the one stored when added
+                const prices = variant ? linePrices(product, variant, campaigns) : {};
+
+                // Stock held by unpaid orders isn't available to this cart
+                const stock = variant ? availableStock(variant, await getHeldQuantities([variant._id])) : 0;
 
-                if (!variant || variant.stock === 0) {
+                if (!variant || stock === 0) {
                     canCheckout = false;
                     return { 
                         ...item.toObject(), 
+                        ...prices,
                         product: item.product,
                         realStock: 0, 
                         isOutOfStock: true, 
@@ -58,27 +99,29 @@ router.get('/', protect, async (req, res) => {
                     };
                 }
                 
-                if (variant.stock < item.quantity) {
+                if (stock < item.quantity) {
                     canCheckout = false;
                     return { 
                         ...item.toObject(), 
+                        ...prices,
                         product: item.product,
-                        realStock: variant.stock, 
+                        realStock: stock, 
                         isOutOfStock: false, 
                         hasSufficientStock: false,
-                        isLowStock: (variant.stock <= 3)
+                        isLowStock: (stock <= 3)
                     };
                 }
                 
                 // All good, add to subtotal
-                subtotal += item.price * item.quantity;
+                subtotal += prices.price * item.quantity;
                 return { 
                     ...item.toObject(), 
+                    ...prices,
                     product: item.product,
-                    realStock: variant.stock, 
+                    realStock: stock, 
                     isOutOfStock: false, 
                     hasSufficientStock: true,
-                    isLowStock: (variant.stock <= 3)
+                    isLowStock: (stock <= 3)
                 };
             })
         );
@@ -88,7 +131,8 @@ router.get('/', protect, async (req, res) => {
         res.json({
             items: validatedItems, // <-- THE FIX
             subtotal: subtotal,
-            canCheckout: canCheckout
+            canCheckout: canCheckout,
+            couponCode: cart.couponCode || null
         });
 
     } catch (error) {
@@ -103,20 +147,24 @@ router.get('/', protect, async (req, res) => {
  * @access  Private
  */
 router.post('/add', protect, async (req, res) => {
-    // **V3.1 FIX**: We expect `productId` from the front-end (as per product.html)
-    const { productId, name, price, image, size, colorName, quantity } = req.body;
+    // **V3.1 FIX**: We expect `productId` from the front-end (as per product.html).
+    // The variant is `variantId` or `sku` (then `productId` may be left out),
+    // or size + colorName. Name, price and image come from the catalogue.
+    const { productId, variantId, sku, size, colorName, quantity } = req.body;
 
-    if (!productId || !size || !colorName || !quantity || !name || !price || !image) {
+    if (!(productId || variantId || sku) || !hasVariantRef(req.body) || !quantity) {
         return res.status(400).json({ message: 'Missing required item properties.' });
     }
 
     try {
-        const product = await Product.findById(productId);
+        const { product, variant } = await loadVariant({ productId, variantId, sku, size, colorName });
+        const campaigns = await runningCampaigns();
         if (!product) {
             return res.status(404).json({ message: 'Product not found.' });
         }
-        
-        const variant = product.variants.find(v => v.size === size && v.colorName === colorName);
+        if (product.archivedAt) {
+            return res.status(400).json({ message: 'This product is no longer available.' });
+        }
         if (!variant) {
             return res.status(404).json({ message: 'Selected variant not found.' });
         }
@@ -127,9 +175,7 @@ router.post('/add', protect, async (req, res) => {
         }
 
         // **V3.1 FIX**: Find by `product` field (the ID)
-        const existingItemIndex = cart.items.findIndex(
-            item => item.product.toString() === productId && item.size === size && item.colorName === colorName
-        );
+        const existingItemIndex = cart.items.findIndex(item => isLine(item, product._id, variant));
 
         let newQuantity = quantity;
         if (existingItemIndex > -1) {
@@ -143,18 +189,10 @@ router.post('/add', protect, async (req, res) => {
         }
 
         if (existingItemIndex > -1) {
-            cart.items[existingItemIndex].quantity = newQuantity;
+            // Refreshes price etc. and upgrades old size + colour lines to variant ids
+            cart.items[existingItemIndex].set({ ...lineFields(product, variant, campaigns), quantity: newQuantity });
         } else {
-            // **V3.1 FIX**: Save `productId` to the `product` field
-            cart.items.push({
-                product: productId, // This is the `ref` field in the schema
-                name,
-                price,
-                image,
-                size,
-                colorName,
-                quantity: newQuantity
-            });
+            cart.items.push({ ...lineFields(product, variant, campaigns), quantity: newQuantity });
         }
 
         await cart.save();
@@ -173,10 +211,11 @@ router.post('/add', protect, async (req, res) => {
  * @access  Private
  */
 router.put('/update', protect, async (req, res) => {
-    // **V3.1 FIX**: Expect `product` (the ID) from the body
-    const { product, size, colorName, newQuantity } = req.body;
+    // **V3.1 FIX**: Expect `product` (the ID) from the body, plus `variantId`,
+    // `sku` or size + colorName
+    const { product, variantId, sku, size, colorName, newQuantity } = req.body;
 
-    if (!product || !size || !colorName) {
+    if (!product || !hasVariantRef(req.body)) {
          return res.status(400).json({ message: 'Missing item identifiers.' });
     }
 
@@ -185,10 +224,9 @@ router.put('/update', protect, async (req, res) => {
     }
 
     try {
-        const productDoc = await Product.findById(product);
+        const { product: productDoc, variant } = await loadVariant({ productId: product, variantId, sku, size, colorName });
         if (!productDoc) return res.status(404).json({ message: 'Product not found.' });
-        
-        const variant = productDoc.variants.find(v => v.size === size && v.colorName === colorName);
+        if (productDoc.archivedAt) return res.status(400).json({ message: 'This product is no longer available.' });
         if (!variant) return res.status(404).json({ message: 'Variant not found.' });
         
         if (newQuantity > variant.stock) {
@@ -201,9 +239,7 @@ router.put('/update', protect, async (req, res) => {
         if (!cart) return res.status(404).json({ message: 'Cart not found.' });
 
         // **V3.1 FIX**: Find by `product` field
-        const itemIndex = cart.items.findIndex(
-            item => item.product.toString() === product && item.size === size && item.colorName === colorName
-        );
+        const itemIndex = cart.items.findIndex(item => isLine(item, product, variant));
 
         if (itemIndex > -1) {
             cart.items[itemIndex].quantity = newQuantity;
@@ -226,10 +262,11 @@ router.put('/update', protect, async (req, res) => {
  * @access  Private
  */
 router.delete('/remove', protect, async (req, res) => {
-    // **V3.1 FIX**: Expect `product` (the ID) from the body
-    const { product, size, colorName } = req.body;
+    // **V3.1 FIX**: Expect `product` (the ID) from the body, plus `variantId`,
+    // `sku` or size + colorName
+    const { product, variantId, sku, size, colorName } = req.body;
 
-    if (!product || !size || !colorName) {
+    if (!product || !hasVariantRef(req.body)) {
          return res.status(400).json({ message: 'Missing item identifiers.' });
     }
 
@@ -237,11 +274,13 @@ router.delete('/remove', protect, async (req, res) => {
         const cart = await Cart.findOne({ user: req.user.id });
         if (!cart) return res.status(404).json({ message: 'Cart not found.' });
 
+        // A variant since deleted from the catalogue can still be removed by what the client sent
+        const found = await loadVariant({ productId: product, variantId, sku, size, colorName });
+        const variant = found.variant || { _id: variantId, size, colorName };
+
         const initialLength = cart.items.length;
         // **V3.1 FIX**: Filter by `product` field
-        cart.items = cart.items.filter(
-            item => !(item.product.toString() === product && item.size === size && item.colorName === colorName)
-        );
+        cart.items = cart.items.filter(item => !isLine(item, product, variant));
 
         if (cart.items.length === initialLength) {
             return res.status(404).json({ message: 'Item not found in cart.' });
@@ -266,6 +305,7 @@ router.delete('/clear', protect, async (req, res) => {
         const cart = await Cart.findOne({ user: req.user.id });
         if (cart) {
             cart.items = [];
+            cart.couponCode = undefined;
             await cart.save();
         }
         res.status(200).json({ message: 'Cart cleared successfully.' });
@@ -294,36 +334,23 @@ router.post('/merge', protect, async (req, res) => {
             cart = new Cart({ user: req.user.id, items: [] });
         }
 
-        // **V3.1 FIX**: Use `product` field for lookup
-        const existingItems = new Set(
-            cart.items.map(item => `${item.product}-${item.size}-${item.colorName}`)
-        );
-
+        const campaigns = await runningCampaigns();
         for (const guestItem of guestCart) {
-            // guestItem has `productId`, `size`, `colorName`
-            if (!guestItem.productId || !guestItem.size || !guestItem.colorName) continue;
-
-            const product = await Product.findById(guestItem.productId);
-            if (!product) continue; 
+            // guestItem has `productId` and `variantId`, `sku` or `size` + `colorName`
+            if (!guestItem.productId || !hasVariantRef(guestItem)) continue;
 
-            const variant = product.variants.find(
-                v => v.size === guestItem.size && v.colorName === guestItem.colorName
-            );
-            if (!variant || variant.stock === 0) continue; 
+            const { product, variant } = await loadVariant(guestItem);
+            if (!product || product.archivedAt || !variant || variant.stock === 0) continue;
 
-            // **V3.1 FIX**: Use `productId` for key
-            const itemKey = `${guestItem.productId}-${guestItem.size}-${guestItem.colorName}`;
-            
-            if (existingItems.has(itemKey)) {
-                // **V3.1 FIX**: Find by `product` field
-                const itemIndex = cart.items.findIndex(item => `${item.product}-${item.size}-${item.colorName}` === itemKey);
-                if (itemIndex === -1) continue; // Should not happen
+            // **V3.1 FIX**: Find by `product` field
+            const itemIndex = cart.items.findIndex(item => isLine(item, product._id, variant));
 
+            if (itemIndex > -1) {
                 let newQuantity = cart.items[itemIndex].quantity + guestItem.quantity;
                 if (newQuantity > variant.stock) {
                     newQuantity = variant.stock;
                 }
-                cart.items[itemIndex].quantity = newQuantity;
+                cart.items[itemIndex].set({ ...lineFields(product, variant, campaigns), quantity: newQuantity });
 
             } else {
                 let newQuantity = guestItem.quantity;
@@ -331,16 +358,7 @@ router.post('/merge', protect, async (req, res) => {
                     newQuantity = variant.stock;
                 }
                 
-                // **V3.1 FIX**: Map `productId` to `product`
-                cart.items.push({
-                    product: guestItem.productId, 
-                    name: guestItem.name,
-                    price: guestItem.price,
-                    image: guestItem.image,
-                    size: guestItem.size,
-                    colorName: guestItem.colorName,
-                    quantity: newQuantity
-                });
+                cart.items.push({ ...lineFields(product, variant, campaigns), quantity: newQuantity });
             }
         }
 
@@ -357,6 +375,63 @@ router.post('/merge', protect, async (req, res) => {
 });
 
 
+/**
+ * @route   POST /api/cart/apply-coupon
+ * @desc    Check a coupon against the user's cart and remember it for checkout
+ * @access  Private
+ */
+router.post('/apply-coupon', protect, async (req, res) => {
+    const { code } = req.body;
+
+    if (!code || String(code).trim() === '') {
+        return res.status(400).json({ message: 'Please enter a coupon code.' });
+    }
+
+    try {
+        const cart = await Cart.findOne({ user: req.user.id });
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({ message: 'Your cart is empty.' });
+        }
+
+        // Throws an HttpError explaining why the coupon doesn't apply
+        const quote = await buildQuote(cart.items, { couponCode: code, userId: req.user.id });
+
+        cart.couponCode = quote.coupon.code;
+        await cart.save();
+
+        res.status(200).json({
+            message: `Coupon ${quote.coupon.code} applied. You save ₹${quote.discount}.`,
+            couponCode: quote.coupon.code,
+            quote
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error applying coupon:', error.message);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/cart/coupon
+ * @desc    Remove the coupon applied to the user's cart
+ * @access  Private
+ */
+router.delete('/coupon', protect, async (req, res) => {
+    try {
+        const cart = await Cart.findOne({ user: req.user.id });
+        if (cart && cart.couponCode) {
+            cart.couponCode = undefined;
+            await cart.save();
+        }
+        res.status(200).json({ message: 'Coupon removed.' });
+    } catch (error) {
+        console.error('Error removing coupon:', error.message);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+
 /**
  * @route   POST /api/cart/validate-guest
  * @desc    Validate a guest's cart from localStorage (public)
@@ -372,47 +447,52 @@ router.post('/validate-guest', async (req, res) => {
     let canCheckout = true;
     
     try {
+        const campaigns = await runningCampaigns();
         const validatedItems = await Promise.all(
             guestCart.map(async (item) => {
                 try {
                     // **V3.1 FIX**: Guest cart uses `productId`
-                    if (!item.productId || !item.size || !item.colorName) {
+                    if (!item.productId || !hasVariantRef(item)) {
                         throw new Error('Invalid item structure');
                     }
 
                     const product = await Product.findById(item.productId);
-                    if (!product) {
+                    if (!product || product.archivedAt) {
                         canCheckout = false;
                         return { ...item, realStock: 0, isOutOfStock: true, hasSufficientStock: false };
                     }
                     
-                    const variant = product.variants.find(
-                        v => v.size === item.size && v.colorName === item.colorName
-                    );
+                    const variant = findVariant(product, item);
+
+                    // Stock held by unpaid orders isn't available to this cart
+                    const stock = variant ? availableStock(variant, await getHeldQuantities([variant._id])) : 0;
 
-                    if (!variant || variant.stock === 0) {
+                    if (!variant || stock === 0) {
                         canCheckout = false;
                         return { ...item, realStock: 0, isOutOfStock: true, hasSufficientStock: false };
                     }
                     
-                    if (variant.stock < item.quantity) {
+                    const prices = linePrices(product, variant, campaigns);
+                    if (stock < item.quantity) {
                         canCheckout = false;
                         return { 
                             ...item, 
-                            realStock: variant.stock, 
+                            ...prices,
+                            realStock: stock, 
                             isOutOfStock: false, 
                             hasSufficientStock: false,
-                            isLowStock: (variant.stock <= 3)
+                            isLowStock: (stock <= 3)
                         };
                     }
                     
                     // All good!
                     return { 
                         ...item, 
-                        realStock: variant.stock, 
+                        ...prices,
+                        realStock: stock, 
                         isOutOfStock: false, 
                         hasSufficientStock: true,
-                        isLowStock: (variant.stock <= 3)
+                        isLowStock: (stock <= 3)
                     };
                 } catch (err) {
                     // This item is bad (e.g., old/invalid productId)
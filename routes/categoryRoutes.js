@@ -2,17 +2,17 @@ const express = require("express")
 const router = express.Router()
 const Category = require("../models/Category")
 const Product = require("../models/Product")
-const { protect, admin } = require("../middleware/authMiddleware")
+const { protect, requirePermission } = require("../middleware/authMiddleware")
 
 /**
  * @route   GET /api/categories
- * @desc    Get all categories
+ * @desc    Get all categories (archived ones are left out)
  * @access  Public
  */
 router.get("/", async (req, res) => {
   try {
-    // Find all categories and sort them by parent, then by name
-    const categories = await Category.find().sort({ parentCategory: 1, name: 1 })
+    // Top-level categories first, then each level by name
+    const categories = await Category.find({ archivedAt: null }).sort({ depth: 1, name: 1 })
     res.json(categories)
   } catch (error) {
     console.error("Error fetching categories:", error)
@@ -20,24 +20,67 @@ router.get("/", async (req, res) => {
   }
 })
 
+/**
+ * @route   GET /api/categories/tree
+ * @desc    All categories nested under their parents (`children` arrays)
+ * @access  Public
+ */
+router.get("/tree", async (req, res) => {
+  try {
+    const categories = await Category.find({ archivedAt: null }).sort({ name: 1 }).lean()
+
+    const byId = new Map(categories.map(c => [String(c._id), { ...c, children: [] }]))
+    const roots = []
+    byId.forEach(node => {
+      const parent = node.parent && byId.get(String(node.parent))
+      if (parent) {
+        parent.children.push(node)
+      } else {
+        roots.push(node)
+      }
+    })
+
+    res.json(roots)
+  } catch (error) {
+    console.error("Error fetching category tree:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   GET /api/categories/archived
+ * @desc    Archived categories, most recently archived first
+ * @access  Private/Staff (categories:write)
+ */
+router.get("/archived", protect, requirePermission("categories:write"), async (req, res) => {
+  try {
+    const categories = await Category.find({ archivedAt: { $ne: null } })
+      .sort({ archivedAt: -1 })
+      .populate("archivedBy", "name email")
+    res.json(categories)
+  } catch (error) {
+    console.error("Error fetching archived categories:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 /**
  * @route   POST /api/categories
  * @desc    Create a new category
- * @access  Private/Admin
+ * @access  Private/Staff (categories:write)
  */
-router.post("/", protect, admin, async (req, res) => {
+router.post("/", protect, requirePermission("categories:write"), async (req, res) => {
   try {
-    // **FIX: Get 'name' AND 'parentCategory' from the request body**
-    const { name, parentCategory } = req.body
+    const { name, parent } = req.body
 
     if (!name || name.trim() === "") {
       return res.status(400).json({ message: "Category name is required" })
     }
 
-    // **FIX: Include parentCategory when creating the new category**
+    // No parent makes it a top-level category
     const newCategory = new Category({ 
         name: name.trim(),
-        parentCategory: parentCategory || 'None' // Default to 'None' if not provided
+        parent: parent || null,
     })
 
     const savedCategory = await newCategory.save()
@@ -45,7 +88,74 @@ router.post("/", protect, admin, async (req, res) => {
   } catch (error) {
     console.error("Error creating category:", error)
     if (error.code === 11000) {
-      return res.status(400).json({ message: "Category with that name already exists" })
+      return res.status(400).json({ message: "A category with that name already exists here" })
+    }
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(422).json({ message: "Validation failed", errors: error.errors })
+    }
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   PUT /api/categories/:id
+ * @desc    Rename a category (products and subcategories stay attached)
+ * @access  Private/Staff (categories:write)
+ */
+router.put("/:id", protect, requirePermission("categories:write"), async (req, res) => {
+  try {
+    const { name } = req.body
+
+    if (!name || name.trim() === "") {
+      return res.status(400).json({ message: "Category name is required" })
+    }
+
+    const category = await Category.findById(req.params.id)
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    category.name = name.trim()
+    const updatedCategory = await category.save()
+    res.json(updatedCategory)
+  } catch (error) {
+    console.error("Error renaming category:", error)
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "A category with that name already exists here" })
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid category ID" })
+    }
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   PUT /api/categories/:id/move
+ * @desc    Move a category (and its subtree) under another parent; `parent: null` makes it top-level
+ * @access  Private/Staff (categories:write)
+ */
+router.put("/:id/move", protect, requirePermission("categories:write"), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id)
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    // Products point at the category's _id, so they move with it
+    category.parent = req.body.parent || null
+    const updatedCategory = await category.save()
+    res.json(updatedCategory)
+  } catch (error) {
+    console.error("Error moving category:", error)
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "A category with that name already exists under the new parent" })
+    }
+    if (error.name === "ValidationError") {
+      return res.status(422).json({ message: "Validation failed", errors: error.errors })
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid category ID" })
     }
     res.status(500).json({ message: "Server error" })
   }
@@ -53,31 +163,116 @@ router.post("/", protect, admin, async (req, res) => {
 
 /**
  * @route   DELETE /api/categories/:id
- * @desc    Delete a category (with safety check)
- * @access  Private/Admin
+ * @desc    Archive a category (hidden from the storefront). It must have no
+ *          live products or subcategories. See /restore and /purge.
+ * @access  Private/Staff (categories:write)
  */
-router.delete("/:id", protect, admin, async (req, res) => {
+router.delete("/:id", protect, requirePermission("categories:write"), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id)
 
     if (!category) {
       return res.status(404).json({ message: "Category not found" })
     }
+    if (category.archivedAt) {
+      return res.status(400).json({ message: "Category is already archived" })
+    }
 
     // Check if any products use this category
-    // This logic is correct and good.
-    const productsWithCategory = await Product.countDocuments({ category: req.params.id })
+    const productsWithCategory = await Product.countDocuments({ category: category._id, archivedAt: null })
 
     if (productsWithCategory > 0) {
       return res.status(400).json({
-        message: `Cannot delete category. ${productsWithCategory} product(s) are using this.`,
+        message: `Cannot archive category. ${productsWithCategory} product(s) are using this.`,
+      })
+    }
+
+    const subcategories = await Category.countDocuments({ parent: category._id, archivedAt: null })
+    if (subcategories > 0) {
+      return res.status(400).json({
+        message: `Cannot archive category. It has ${subcategories} subcategory(ies); move or archive them first.`,
+      })
+    }
+
+    category.archivedAt = new Date()
+    category.archivedBy = req.user._id
+    await category.save()
+    res.json({ message: "Category archived", category })
+  } catch (error) {
+    console.error("Error archiving category:", error)
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid category ID" })
+    }
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   PUT /api/categories/:id/restore
+ * @desc    Bring an archived category back (its parent must not be archived)
+ * @access  Private/Staff (categories:write)
+ */
+router.put("/:id/restore", protect, requirePermission("categories:write"), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+    if (!category.archivedAt) {
+      return res.status(400).json({ message: "Category is not archived" })
+    }
+    if (category.parent && await Category.exists({ _id: category.parent, archivedAt: { $ne: null } })) {
+      return res.status(400).json({ message: "Its parent category is archived; restore that first" })
+    }
+
+    category.archivedAt = undefined
+    category.archivedBy = undefined
+    const restoredCategory = await category.save()
+    res.json(restoredCategory)
+  } catch (error) {
+    console.error("Error restoring category:", error)
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid category ID" })
+    }
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   DELETE /api/categories/:id/purge
+ * @desc    Permanently delete an archived category no product or
+ *          subcategory (archived or not) still points at
+ * @access  Private/Staff (categories:write)
+ */
+router.delete("/:id/purge", protect, requirePermission("categories:write"), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+    if (!category.archivedAt) {
+      return res.status(400).json({ message: "Archive the category before purging it" })
+    }
+
+    const [products, subcategories] = await Promise.all([
+      Product.countDocuments({ category: category._id }),
+      Category.countDocuments({ parent: category._id }),
+    ])
+    if (products > 0 || subcategories > 0) {
+      return res.status(400).json({
+        message: `Cannot purge category. ${products} product(s) and ${subcategories} subcategory(ies) still point at it, archived ones included.`,
       })
     }
 
     await category.deleteOne()
-    res.json({ message: "Category deleted successfully" })
+    res.json({ message: "Category permanently deleted" })
   } catch (error) {
-    console.error("Error deleting category:", error)
+    console.error("Error purging category:", error)
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid category ID" })
+    }
     res.status(500).json({ message: "Server error" })
   }
 })
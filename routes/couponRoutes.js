@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+// Fields an admin may set. `usedCount` is only ever changed by redemptions.
+const pickCouponFields = (body) => {
+    const fields = [
+        'code', 'description', 'type', 'value', 'maxDiscount', 'minCartValue',
+        'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'products', 'categories', 'isActive',
+    ];
+    const picked = {};
+    fields.forEach(field => {
+        if (body[field] !== undefined) picked[field] = body[field];
+    });
+    return picked;
+};
+
+/**
+ * @route   GET /api/coupons
+ * @desc    Get all coupons
+ * @access  Private/Staff (promotions:manage)
+ */
+router.get('/', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+        res.json(coupons);
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/coupons/:id
+ * @desc    Get a coupon by ID
+ * @access  Private/Staff (promotions:manage)
+ */
+router.get('/:id', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id)
+            .populate('products', 'name')
+            .populate('categories', 'name');
+        if (!coupon) { return res.status(404).json({ message: 'Coupon not found' }); }
+        res.json(coupon);
+    } catch (error) {
+        console.error('Error fetching coupon:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid coupon ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/coupons
+ * @desc    Create a coupon
+ * @access  Private/Staff (promotions:manage)
+ */
+router.post('/', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const savedCoupon = await Coupon.create(pickCouponFields(req.body));
+        res.status(201).json(savedCoupon);
+    } catch (error) {
+        console.error('Error creating coupon:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A coupon with that code already exists' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/coupons/:id
+ * @desc    Update a coupon
+ * @access  Private/Staff (promotions:manage)
+ */
+router.put('/:id', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) { return res.status(404).json({ message: 'Coupon not found' }); }
+
+        // Assign then save (rather than findByIdAndUpdate) so the
+        // percentage <= 100 validator can see the coupon's type.
+        coupon.set(pickCouponFields(req.body));
+        const updatedCoupon = await coupon.save();
+        res.json(updatedCoupon);
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A coupon with that code already exists' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/coupons/:id
+ * @desc    Delete a coupon (orders keep the code they used)
+ * @access  Private/Staff (promotions:manage)
+ */
+router.delete('/:id', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) { return res.status(404).json({ message: 'Coupon not found' }); }
+        await coupon.deleteOne();
+        res.json({ message: 'Coupon removed' });
+    } catch (error) {
+        console.error('Error deleting coupon:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const InventoryMovement = require('../models/InventoryMovement');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { adjustStock } = require('../utils/inventory');
+const { loadVariant } = require('../utils/variants');
+const { sendHttpError } = require('../utils/httpError');
+
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * @route   POST /api/inventory/adjustments
+ * @desc    Manually change a variant's stock. The variant is `variantId` or
+ *          `sku` (or `productId` + size + colorName). Send `delta` (units in
+ *          or out) or `quantity` (a stock count). reason: adjustment, damage
+ *          or restock; `note` is optional.
+ * @access  Private/Staff (inventory:write)
+ */
+router.post('/adjustments', protect, requirePermission('inventory:write'), async (req, res) => {
+    try {
+        const { productId, variantId, sku, size, colorName, delta, quantity, reason, note } = req.body;
+        if (!variantId && !sku && !(productId && size && colorName)) {
+            return res.status(400).json({ message: 'Please say which variant: variantId, sku, or productId with size and colorName.' });
+        }
+
+        const target = await loadVariant({ productId, variantId, sku, size, colorName });
+        if (!target.product || !target.variant) {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
+
+        const movement = await adjustStock(target, { delta, quantity, reason, note, user: req.user._id });
+        res.status(201).json(movement);
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error adjusting stock:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid product or variant ID' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/inventory/movements?variant=&sku=&product=&reason=&order=&from=&to=&page=&limit=
+ * @desc    Stock movement history, newest first
+ * @access  Private/Staff (inventory:read)
+ */
+router.get('/movements', protect, requirePermission('inventory:read'), async (req, res) => {
+    try {
+        const filter = {};
+        for (const field of ['variant', 'product', 'order']) {
+            if (req.query[field] === undefined) continue;
+            if (!mongoose.isObjectIdOrHexString(req.query[field])) {
+                return res.status(400).json({ message: `Invalid ${field} ID` });
+            }
+            filter[field] = req.query[field];
+        }
+        if (req.query.sku) filter.sku = String(req.query.sku).trim().toUpperCase();
+        if (req.query.reason) filter.reason = { $in: String(req.query.reason).split(',') };
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+            if (Object.values(filter.createdAt).some(date => Number.isNaN(date.getTime()))) {
+                return res.status(400).json({ message: 'from and to must be dates, e.g. 2025-10-20' });
+            }
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const [movements, total] = await Promise.all([
+            InventoryMovement.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('product', 'name')
+                .populate('user', 'name email'),
+            InventoryMovement.countDocuments(filter),
+        ]);
+
+        res.json({ movements, page, pages: Math.ceil(total / limit), total });
+    } catch (error) {
+        console.error('Error fetching stock movements:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,80 +1,153 @@
 const express = require('express');
 const router = express.Router();
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const Order = require('../models/Order');
 const Product = require('../models/Product'); 
-const { protect, admin } = require('../middleware/authMiddleware');
+const Cart = require('../models/Cart');
+const Invoice = require('../models/Invoice');
+const Return = require('../models/Return');
+const Review = require('../models/Review');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { buildQuote, totalsMatch } = require('../utils/pricing');
+const { sendHttpError } = require('../utils/httpError');
+const {
+    verifyCheckoutSignature,
+    markOrderPaid,
+    placeCodOrder,
+    recordCodCollection,
+    finaliseCodPayment,
+    refundCancelledOrder,
+} = require('../utils/payments');
+const { cancelOrder } = require('../utils/orderCancellation');
+const { canTransition, statusEntry, transitionOrder } = require('../utils/orderStatus');
+const { bookShipment, syncShipment } = require('../utils/shipments');
+const { issueInvoice, regenerateInvoice, renderInvoicePdf } = require('../utils/invoices');
+const { reserveOrderItems, releaseReservations, getHeldQuantities, availableStock } = require('../utils/reservations');
+const { findVariant } = require('../utils/variants');
+const { hasPermission } = require('../utils/permissions');
+const razorpay = require('../utils/razorpay');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET,
+// Set to 'true' to only let customers with a verified email place orders
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === 'true';
+
+/**
+ * @route   POST /api/orders/quote
+ * @desc    Price a list of items on the server (no order is created)
+ * @access  Public
+ */
+router.post('/quote', async (req, res) => {
+    try {
+        const quote = await buildQuote(req.body.orderItems, {
+            couponCode: req.body.couponCode,
+            shippingAddress: req.body.shippingAddress,
+            paymentMethod: req.body.paymentMethod,
+        });
+        res.json(quote);
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error building quote:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
 });
 
 /**
  * @route   POST /api/orders
- * @desc    Create a new order and generate Razorpay order ID (V3)
+ * @desc    Create a new order: Razorpay (default) or Cash on Delivery (`paymentMethod: 'cod'`)
  * @access  Private
  */
 router.post('/', protect, async (req, res) => {
     try {
-        const { orderItems, shippingAddress, totalPrice } = req.body;
-
-        // **MODIFIED: V3 Stock Check**
-        for (const item of orderItems) {
-            const product = await Product.findById(item.product).select('variants name');
-            if (!product) {
-                return res.status(404).json({ message: `Product not found: ${item.name}` });
-            }
-            
-            // **FIXED: Check against item.colorName**
-            const variant = product.variants.find(v => v.size === item.size && v.colorName === item.colorName);
-            
-            if (!variant) {
-                return res.status(404).json({ message: `Variant not found for ${item.name} (Size: ${item.size}, Color: ${item.colorName})` });
-            }
-
-            if (variant.stock < item.quantity) {
-                return res.status(400).json({ 
-                    message: `Not enough stock for ${item.name} (${item.size}, ${item.colorName}). Only ${variant.stock} left.` 
-                });
-            }
+        // Accounts made by phone have no email to verify (or bounce)
+        if (REQUIRE_VERIFIED_EMAIL && req.user.email && !req.user.emailVerified) {
+            return res.status(403).json({
+                message: 'Please verify your email address before placing an order.',
+                emailVerified: false,
+            });
         }
-        // **END MODIFIED**
 
-        // 1. Create the Razorpay order
-        const options = {
-            amount: Math.round(totalPrice * 100),
-            currency: 'INR',
-            receipt: `rcpt_${new Date().getTime()}`,
-        };
+        const { orderItems, shippingAddress, totalPrice, billingGstin } = req.body;
+        const paymentMethod = req.body.paymentMethod === 'cod' ? 'cod' : 'razorpay';
 
-        const razorpayOrder = await razorpay.orders.create(options);
+        // A coupon can come with the request or from the one applied to the cart
+        let { couponCode } = req.body;
+        if (couponCode === undefined) {
+            const cart = await Cart.findOne({ user: req.user.id }).select('couponCode');
+            couponCode = cart && cart.couponCode;
+        }
 
-        if (!razorpayOrder) {
-            return res.status(500).json({ message: 'Razorpay order creation failed' });
+        // Never trust client prices: rebuild every line from the database.
+        // The coupon is re-validated here, whatever the cart said earlier.
+        const quote = await buildQuote(orderItems, { couponCode, userId: req.user.id, shippingAddress, paymentMethod });
+        if (!totalsMatch(totalPrice, quote)) {
+            return res.status(409).json({
+                message: 'Your order total has changed. Please review the updated prices.',
+                quote,
+            });
         }
 
-        // 2. Create the order in *our* database
+        // 1. Build the order (not saved yet) so its _id can own the stock holds
         const newOrder = new Order({
             user: req.user.id, 
-            orderItems, // These items now contain 'colorName'
+            orderItems: quote.lines,
             shippingAddress,
-            totalPrice,
-            paymentDetails: {
-                razorpayOrderId: razorpayOrder.id,
+            billingGstin: billingGstin || undefined,
+            paymentMethod,
+            pricing: {
+                subtotal: quote.subtotal,
+                shipping: quote.shipping,
+                tax: quote.tax,
+                discount: quote.discount,
+                codFee: quote.codFee,
+                grandTotal: quote.grandTotal,
             },
-            isPaid: false,
-            isCancelled: false,
+            totalPrice: quote.grandTotal,
+            coupon: quote.coupon || undefined,
+            statusHistory: [statusEntry('pending_payment', { actor: req.user.id, note: 'Order placed' })],
         });
 
-        const savedOrder = await newOrder.save();
+        // COD skips Razorpay entirely: take the stock now and we're done
+        if (paymentMethod === 'cod') {
+            const savedOrder = await placeCodOrder(newOrder);
+            return res.status(201).json({
+                message: 'Order placed. Please pay in cash on delivery.',
+                orderId: savedOrder._id,
+                paymentMethod,
+                amount: savedOrder.totalPrice,
+                pricing: savedOrder.pricing,
+            });
+        }
+
+        // 2. Hold the stock while the customer pays (throws 400 if it's gone)
+        newOrder.reservationExpiresAt = await reserveOrderItems(newOrder);
+
+        let razorpayOrder;
+        let savedOrder;
+        try {
+            // 3. Create the Razorpay order
+            const options = {
+                amount: Math.round(quote.grandTotal * 100),
+                currency: 'INR',
+                receipt: `rcpt_${new Date().getTime()}`,
+            };
+
+            razorpayOrder = await razorpay.orders.create(options);
 
-        // 3. Send back the order details
+            if (!razorpayOrder) {
+                await releaseReservations(newOrder._id, 'checkout_failed');
+                return res.status(500).json({ message: 'Razorpay order creation failed' });
+            }
+
+            // 4. Save the order in *our* database
+            newOrder.paymentDetails = { razorpayOrderId: razorpayOrder.id };
+            savedOrder = await newOrder.save();
+        } catch (error) {
+            await releaseReservations(newOrder._id, 'checkout_failed');
+            throw error;
+        }
+
+        // 5. Send back the order details
         res.status(201).json({
             message: 'Order created successfully',
             orderId: savedOrder._id,
@@ -82,10 +155,16 @@ router.post('/', protect, async (req, res) => {
             amount: razorpayOrder.amount,
             currency: razorpayOrder.currency,
             key: process.env.RAZORPAY_KEY_ID,
+            pricing: savedOrder.pricing,
+            reservedUntil: savedOrder.reservationExpiresAt,
         });
 
     } catch (error) {
+        if (sendHttpError(res, error)) return;
         console.error('Error creating order:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -113,57 +192,51 @@ router.post('/verify', protect, async (req, res) => {
             return res.json({ message: 'Payment already verified' });
         }
 
-        // 2. Create the expected signature
-        const hmac = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET);
-        hmac.update(razorpay_order_id + '|' + razorpay_payment_id);
-        const expectedSignature = hmac.digest('hex');
+        // 1. The payment must belong to *this* order's Razorpay order
+        if (order.paymentDetails.razorpayOrderId !== razorpay_order_id) {
+            return res.status(400).json({ message: 'Payment verification failed: Order mismatch' });
+        }
 
-        // 3. Compare the signatures
-        if (expectedSignature !== razorpay_signature) {
+        // 2. Compare the signatures
+        if (!verifyCheckoutSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
             return res.status(400).json({ message: 'Payment verification failed: Invalid signature' });
         }
 
-        // 4. Payment is LEGITIMATE. Fetch details.
+        // 3. Payment is LEGITIMATE. Fetch details.
         const paymentDetails = await razorpay.payments.fetch(razorpay_payment_id);
         if (!paymentDetails) {
             return res.status(500).json({ message: 'Error fetching payment details from Razorpay' });
         }
 
-        // **MODIFIED: V3 Stock Decrement**
-        const bulkOps = order.orderItems.map(item => ({
-            updateOne: {
-                filter: { 
-                    _id: item.product, 
-                    "variants": { 
-                        "$elemMatch": { 
-                            "size": item.size, 
-                            // **FIXED: Use item.colorName**
-                            "colorName": item.colorName 
-                        }
-                    }
-                },
-                update: { 
-                    "$inc": { "variants.$.stock": -item.quantity } 
-                }
-            }
-        }));
-        
-        await Product.bulkWrite(bulkOps);
-        // **END MODIFIED**
-
-        // 5. Update our database with all details.
-        order.isPaid = true;
-        order.paidAt = Date.now();
-        order.paymentDetails = {
+        // 4. Mark paid and decrement stock (shared with the Razorpay webhook)
+        // An order that can no longer be paid (e.g. cancelled meanwhile) refunds the payment
+        const result = await markOrderPaid(order._id, {
             razorpayOrderId: razorpay_order_id,
             razorpayPaymentId: razorpay_payment_id,
             razorpaySignature: razorpay_signature,
             paymentMethod: paymentDetails.method,
-        };
+        }, { actor: req.user.id, note: 'Verified from checkout' });
+        const { alreadyPaid, oversold, notPayable } = result;
 
-        await order.save();
+        if (alreadyPaid) {
+            return res.json({ message: 'Payment already verified' });
+        }
+
+        if (notPayable) {
+            return res.status(409).json({
+                message: `This order is ${result.order.status} and can no longer be paid, so your payment is being refunded in full.`,
+                orderId: order._id,
+            });
+        }
 
-        // 6. Send success response
+        if (oversold) {
+            return res.status(409).json({
+                message: 'Payment received, but some items sold out before it was confirmed. A full refund has been initiated.',
+                orderId: order._id,
+            });
+        }
+
+        // 5. Send success response
         res.json({
             message: 'Payment verified successfully',
             orderId: order._id,
@@ -184,31 +257,33 @@ router.post('/verify', protect, async (req, res) => {
  */
 router.post("/validate-cart", async (req, res) => {
   try {
-    // **FIXED: Expects items with 'colorName'**
-    const { items } = req.body // Expects an array: [{ id, quantity, size, colorName }]
+    // Expects an array: [{ id, quantity, variantId }]. `sku` works in place of
+    // id + variantId, and size + colorName in place of variantId.
+    const { items } = req.body
 
     if (!Array.isArray(items)) {
       return res.status(400).json({ message: "Invalid request: items must be an array." })
     }
 
-    const productIds = [...new Set(items.map(item => item.id))]
-    const productsFromDB = await Product.find({ _id: { $in: productIds } }).select('variants');
-
-    // Create a stock lookup map for *variants*
-    // Key: "productID-size-colorName", Value: stock
-    const stockMap = new Map();
-    productsFromDB.forEach(p => {
-      p.variants.forEach(v => {
-        const key = `${p._id}-${v.size}-${v.colorName}`;
-        stockMap.set(key, v.stock);
-      });
-    });
+    const productIds = [...new Set(items.filter(item => item.id).map(item => String(item.id)))]
+    const skus = [...new Set(items.filter(item => !item.id && item.sku).map(item => String(item.sku).trim().toUpperCase()))]
+    const productsFromDB = await Product.find({
+      $or: [{ _id: { $in: productIds } }, { "variants.sku": { $in: skus } }],
+    }).select('variants archivedAt');
+
+    // Stock held by other shoppers' unpaid orders isn't available
+    const heldMap = await getHeldQuantities(productsFromDB.flatMap(p => p.variants.map(v => v._id)));
+
+    const productFor = (cartItem) => productsFromDB.find(p => (
+      cartItem.id ? p._id.toString() === String(cartItem.id) : Boolean(findVariant(p, { sku: cartItem.sku }))
+    ));
 
     let canCheckout = true; 
     const validatedItems = items.map(cartItem => {
-      // **FIXED: Use cartItem.colorName**
-      const key = `${cartItem.id}-${cartItem.size}-${cartItem.colorName}`;
-      const realStock = stockMap.get(key) || 0; 
+      const product = productFor(cartItem)
+      // Archived products show as out of stock
+      const variant = product && !product.archivedAt && findVariant(product, cartItem)
+      const realStock = variant ? availableStock(variant, heldMap) : 0; 
       const hasSufficientStock = realStock >= cartItem.quantity;
       
       if (realStock === 0) {
@@ -254,14 +329,22 @@ router.get('/myorders', protect, async (req, res) => {
     }
 });
 
+// ?archived= for the admin order list: left out by default
+const ARCHIVE_FILTERS = {
+    false: { archivedAt: null },
+    true: { archivedAt: { $ne: null } },
+    all: {},
+};
+
 /**
- * @route   GET /api/orders
- * @desc    Get all orders
- * @access  Private/Admin
+ * @route   GET /api/orders?archived=true|all
+ * @desc    Get all orders. Archived ones only with ?archived=true (or all with ?archived=all).
+ * @access  Private/Staff (orders:read)
  */
-router.get('/', protect, admin, async (req, res) => {
+router.get('/', protect, requirePermission('orders:read'), async (req, res) => {
     try {
-        const orders = await Order.find({}).populate('user', 'name email').sort({ createdAt: -1 });
+        const filter = ARCHIVE_FILTERS[req.query.archived] || ARCHIVE_FILTERS.false;
+        const orders = await Order.find(filter).populate('user', 'name email').sort({ createdAt: -1 });
         res.json(orders);
     } catch (error) {
         console.error('Error fetching all orders:', error);
@@ -278,7 +361,7 @@ router.get('/:id', protect, async (req, res) => {
     try {
         const order = await Order.findById(req.params.id).populate('user', 'name email');
         if (!order) { return res.status(404).json({ message: 'Order not found' }); }
-        if (req.user.isAdmin || order.user._id.toString() === req.user.id) {
+        if (hasPermission(req.user, 'orders:read') || order.user._id.toString() === req.user.id) {
             res.json(order);
         } else {
             return res.status(401).json({ message: 'Not authorized to view this order' });
@@ -293,22 +376,249 @@ router.get('/:id', protect, async (req, res) => {
 /**
  * @route   PUT /api/orders/:id/deliver
  * @desc    Mark order as delivered
- * @access  Private/Admin
+ * @access  Private/Staff (orders:fulfil)
  */
-router.put('/:id/deliver', protect, admin, async (req, res) => {
+router.put('/:id/deliver', protect, requirePermission('orders:fulfil'), async (req, res) => {
     try {
         const order = await Order.findById(req.params.id);
         if (!order) { return res.status(404).json({ message: 'Order not found' }); }
-        order.isDelivered = true;
-        order.deliveredAt = Date.now();
+        transitionOrder(order, 'delivered', { actor: req.user.id, note: req.body.note });
         const updatedOrder = await order.save();
         res.json(updatedOrder);
     } catch (error) {
+        if (sendHttpError(res, error)) return;
         console.error('Error marking order as delivered:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
+/**
+ * @route   PUT /api/orders/:id/cod-collected
+ * @desc    Confirm the cash for a Cash on Delivery order was collected (marks it paid)
+ * @access  Private/Staff (orders:fulfil)
+ */
+router.put('/:id/cod-collected', protect, requirePermission('orders:fulfil'), async (req, res) => {
+    try {
+        const { amount, note } = req.body;
+        const order = await Order.findById(req.params.id);
+        if (!order) { return res.status(404).json({ message: 'Order not found' }); }
+
+        recordCodCollection(order, { source: 'admin', actor: req.user.id, amount });
+
+        // Cash changes hands at the door, so a parcel still on its way is now delivered
+        if (['shipped', 'out_for_delivery'].includes(order.status)) {
+            transitionOrder(order, 'delivered', { actor: req.user.id, note: note || 'Delivered; cash collected' });
+        }
+
+        const updatedOrder = await order.save();
+        await finaliseCodPayment(updatedOrder);
+        res.json(updatedOrder);
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error confirming COD collection:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Statuses staff may set by hand. `paid` only comes from a verified payment
+// (utils/payments.js) and `refunded` from Razorpay's refund webhook.
+const FULFILMENT_STATUSES = ['packed', 'shipped', 'out_for_delivery', 'delivered', 'cancelled'];
+
+/**
+ * @route   PUT /api/orders/:id/status
+ * @desc    Move an order along fulfilment (packed, shipped, out_for_delivery,
+ *          delivered), or cancel an order nobody has paid for yet. Paid
+ *          online orders are cancelled through POST /api/orders/:id/refund.
+ * @access  Private/Staff (orders:fulfil)
+ */
+router.put('/:id/status', protect, requirePermission('orders:fulfil'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        if (!FULFILMENT_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of: ${FULFILMENT_STATUSES.join(', ')}.` });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) { return res.status(404).json({ message: 'Order not found' }); }
+
+        // An unpaid order (or COD parcel whose cash isn't in) has no money to
+        // return; cancelling puts its items back on the shelf
+        if (status === 'cancelled') {
+            if (order.paidAt) {
+                return res.status(400).json({
+                    message: order.paymentMethod === 'cod'
+                        ? 'The cash for this order has been collected, so it can no longer be cancelled here.'
+                        : 'This order has been paid. Cancel it with a refund (POST /api/orders/:id/refund).',
+                });
+            }
+            return res.json(await cancelOrder(order, { actor: req.user.id, note }));
+        }
+
+        transitionOrder(order, status, { actor: req.user.id, note });
+        const updatedOrder = await order.save();
+        res.json(updatedOrder);
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error updating order status:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/orders/:id/refund
+ * @desc    Cancel a paid online order that hasn't shipped, put its stock back
+ *          and refund it in full. Also retries the refund of such an order
+ *          that was cancelled but whose refund failed.
+ * @access  Private/Staff (refunds:issue)
+ */
+router.post('/:id/refund', protect, requirePermission('refunds:issue'), async (req, res) => {
+    try {
+        const { note } = req.body;
+        let order = await Order.findById(req.params.id);
+        if (!order) { return res.status(404).json({ message: 'Order not found' }); }
+        if (order.paymentMethod !== 'razorpay' || !order.paidAt || !order.paymentDetails.razorpayPaymentId) {
+            return res.status(400).json({ message: 'Only orders paid online can be refunded here.' });
+        }
+
+        if (order.status !== 'cancelled') {
+            if (!canTransition(order.status, 'cancelled', order.paymentMethod)) {
+                return res.status(400).json({ message: `This order is ${order.status}; refund it through a return instead.` });
+            }
+            // Cancel first: the stock goes back whatever Razorpay says
+            order = await cancelOrder(order, { actor: req.user.id, note: note || 'Cancelled and refunded by staff' });
+        }
+
+        res.json(await refundCancelledOrder(order, { note }));
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error refunding order:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid order ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/orders/:id/timeline
+ * @desc    Get an order's status history
+ * @access  Private
+ */
+router.get('/:id/timeline', protect, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .select('user status statusHistory')
+            .populate('statusHistory.actor', 'name');
+        if (!order) { return res.status(404).json({ message: 'Order not found' }); }
+        if (!hasPermission(req.user, 'orders:read') && order.user.toString() !== req.user.id) {
+            return res.status(401).json({ message: 'Not authorized to view this order' });
+        }
+        res.json({ status: order.status, statusHistory: order.statusHistory });
+    } catch (error) {
+        console.error('Error fetching order timeline:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid order ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/orders/:id/shipment
+ * @desc    Book a shipment with a carrier (default: SHIPPING_CARRIER) for a paid order
+ * @access  Private/Staff (orders:fulfil)
+ */
+router.post('/:id/shipment', protect, requirePermission('orders:fulfil'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) { return res.status(404).json({ message: 'Order not found' }); }
+
+        await bookShipment(order, { carrier: req.body.carrier, actor: req.user.id });
+        const updatedOrder = await order.save();
+        res.status(201).json(updatedOrder);
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error booking shipment:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/orders/:id/tracking
+ * @desc    Get the latest shipment tracking (refreshed from the carrier)
+ * @access  Private
+ */
+router.get('/:id/tracking', protect, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) { return res.status(404).json({ message: 'Order not found' }); }
+        if (!hasPermission(req.user, 'orders:read') && order.user.toString() !== req.user.id) {
+            return res.status(401).json({ message: 'Not authorized to view this order' });
+        }
+        if (!order.shipment || !order.shipment.awbNumber) {
+            return res.status(404).json({ message: 'This order has not been shipped yet' });
+        }
+
+        if (order.shipment.status !== 'delivered') {
+            const { codCollected } = await syncShipment(order);
+            await order.save();
+            if (codCollected) {
+                await finaliseCodPayment(order);
+            }
+        }
+
+        res.json({ status: order.status, shipment: order.shipment });
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error fetching tracking:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid order ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/orders/:id/invoice
+ * @desc    Download the GST tax invoice for a paid order as a PDF
+ * @access  Private
+ */
+router.get('/:id/invoice', protect, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) { return res.status(404).json({ message: 'Order not found' }); }
+        if (!hasPermission(req.user, 'orders:read') && order.user.toString() !== req.user.id) {
+            return res.status(401).json({ message: 'Not authorized to view this invoice' });
+        }
+        if (!order.paidAt) {
+            return res.status(400).json({ message: 'An invoice is issued once the order is paid' });
+        }
+
+        // Normally issued at payment time; this covers older or failed ones
+        const invoice = await issueInvoice(order);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`);
+        renderInvoicePdf(invoice, res);
+    } catch (error) {
+        console.error('Error generating invoice:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid order ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/orders/:id/invoice/regenerate
+ * @desc    Rebuild an order's invoice from current data (keeps the invoice number)
+ * @access  Private/Staff (orders:fulfil)
+ */
+router.post('/:id/invoice/regenerate', protect, requirePermission('orders:fulfil'), async (req, res) => {
+    try {
+        const invoice = await regenerateInvoice(req.params.id);
+        if (!invoice) {
+            return res.status(400).json({ message: 'Order not found or not paid yet' });
+        }
+        res.json(invoice);
+    } catch (error) {
+        console.error('Error regenerating invoice:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid order ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
 /**
  * @route   POST /api/orders/:id/repay
@@ -322,26 +632,16 @@ router.post('/:id/repay', protect, async (req, res) => {
         if (!order) { return res.status(404).json({ message: 'Order not found' }); }
         if (order.user.toString() !== req.user.id) { return res.status(401).json({ message: 'Not authorized' }); }
         if (order.isPaid) { return res.status(400).json({ message: 'Order is already paid' }); }
-        if (order.isCancelled) { return res.status(400).json({ message: 'This order has been cancelled' }); }
-
-        // **MODIFIED: V3 Stock Check**
-        for (const item of order.orderItems) {
-            const product = await Product.findById(item.product).select('variants name');
-            if (!product) {
-                return res.status(404).json({ message: `Product not found: ${item.name}` });
-            }
-            // **FIXED: Check against item.colorName**
-            const variant = product.variants.find(v => v.size === item.size && v.colorName === item.colorName);
-            if (!variant) {
-                return res.status(404).json({ message: `Variant not found for ${item.name}` });
-            }
-            if (variant.stock < item.quantity) {
-                return res.status(400).json({ 
-                    message: `Cannot repay: ${item.name} (${item.size}, ${item.colorName}) is now out of stock.` 
-                });
-            }
+        if (order.paymentMethod === 'cod') {
+            return res.status(400).json({ message: 'Cash on Delivery orders are paid on delivery' });
         }
-        // **END MODIFIED**
+        if (!canTransition(order.status, 'paid', order.paymentMethod)) {
+            return res.status(400).json({ message: `This order is ${order.status} and can no longer be paid` });
+        }
+
+        // Renew the stock holds: drop whatever is left of the old ones and hold again
+        await releaseReservations(order._id, 'renewed');
+        order.reservationExpiresAt = await reserveOrderItems(order);
 
         // 1. Create a NEW Razorpay order
         const options = {
@@ -352,6 +652,7 @@ router.post('/:id/repay', protect, async (req, res) => {
         const razorpayOrder = await razorpay.orders.create(options);
 
         if (!razorpayOrder) {
+            await releaseReservations(order._id, 'checkout_failed');
             return res.status(500).json({ message: 'Razorpay order creation failed' });
         }
 
@@ -367,9 +668,11 @@ router.post('/:id/repay', protect, async (req, res) => {
             amount: razorpayOrder.amount,
             currency: razorpayOrder.currency,
             key: process.env.RAZORPAY_KEY_ID,
+            reservedUntil: order.reservationExpiresAt,
         });
 
     } catch (error) {
+        if (sendHttpError(res, error)) return;
         console.error('Error creating repay order:', error);
         res.status(500).json({ message: 'Server error' });
     }
@@ -387,12 +690,17 @@ router.put('/:id/cancel', protect, async (req, res) => {
         if (!order) { return res.status(404).json({ message: 'Order not found' }); }
         if (order.user.toString() !== req.user.id) { return res.status(401).json({ message: 'Not authorized' }); }
         if (order.isPaid) { return res.status(400).json({ message: 'Cannot cancel a paid order' }); }
+        // A COD order can be cancelled until it's packed; after that it's on its way
+        if (order.paymentMethod === 'cod' && order.status !== 'pending_payment') {
+            return res.status(400).json({ message: 'This order is already being shipped and can no longer be cancelled' });
+        }
 
-        order.isCancelled = true;
-        const updatedOrder = await order.save();
+        // COD orders took their stock when they were placed; cancelOrder puts it back
+        const updatedOrder = await cancelOrder(order, { actor: req.user.id, note: req.body.reason || 'Cancelled by customer' });
         res.json(updatedOrder);
 
     } catch (error) {
+        if (sendHttpError(res, error)) return;
         console.error('Error cancelling order:', error);
         res.status(500).json({ message: 'Server error' });
     }
@@ -400,46 +708,104 @@ router.put('/:id/cancel', protect, async (req, res) => {
 
 /**
  * @route   DELETE /api/orders/:id
- * @desc    Delete an order (Admin Only) (V3)
- * @access  Private/Admin
+ * @desc    Archive an order: it leaves the default admin list but is kept for
+ *          accounting. Stock is untouched; cancel the order to restock it.
+ * @access  Private/Staff (orders:delete)
  */
-router.delete('/:id', protect, admin, async (req, res) => {
+router.delete('/:id', protect, requirePermission('orders:delete'), async (req, res) => {
+    try {
+        const order = await Order.findOneAndUpdate(
+            { _id: req.params.id, archivedAt: null },
+            { $set: { archivedAt: new Date(), archivedBy: req.user._id } },
+            { new: true }
+        );
+        if (order) {
+            return res.json({ message: 'Order archived', order });
+        }
+        if (await Order.exists({ _id: req.params.id })) {
+            return res.status(400).json({ message: 'Order is already archived' });
+        }
+        res.status(404).json({ message: 'Order not found' });
+    } catch (error) {
+        console.error('Error archiving order:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid order ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/orders/:id/restore
+ * @desc    Un-archive an order
+ * @access  Private/Staff (orders:delete)
+ */
+router.put('/:id/restore', protect, requirePermission('orders:delete'), async (req, res) => {
+    try {
+        const order = await Order.findOneAndUpdate(
+            { _id: req.params.id, archivedAt: { $ne: null } },
+            { $unset: { archivedAt: '', archivedBy: '' } },
+            { new: true }
+        );
+        if (order) {
+            return res.json(order);
+        }
+        if (await Order.exists({ _id: req.params.id })) {
+            return res.status(400).json({ message: 'Order is not archived' });
+        }
+        res.status(404).json({ message: 'Order not found' });
+    } catch (error) {
+        console.error('Error restoring order:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid order ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/orders/:id/purge
+ * @desc    Permanently delete an archived order (Admin Only). Only cancelled
+ *          orders and orders that never took stock can be purged, and not
+ *          once they have an invoice, returns or reviews. Stock is never
+ *          touched: cancelling already put it back.
+ * @access  Private/Staff (orders:delete)
+ */
+router.delete('/:id/purge', protect, requirePermission('orders:delete'), async (req, res) => {
     try {
         const order = await Order.findById(req.params.id);
         if (!order) {
             return res.status(404).json({ message: 'Order not found' });
         }
+        if (!order.archivedAt) {
+            return res.status(400).json({ message: 'Archive the order before purging it' });
+        }
+        // Anything else may have left the warehouse; cancel it first
+        if (order.status !== 'cancelled' && order.stockCommittedAt) {
+            return res.status(400).json({ message: `Cannot purge an order that is ${order.status}. Only cancelled orders can be purged.` });
+        }
+        if (await Invoice.exists({ order: order._id })) {
+            return res.status(400).json({ message: 'This order has an invoice, so it must be kept for accounting' });
+        }
+        if (await Return.exists({ order: order._id })) {
+            return res.status(400).json({ message: 'This order has returns, so it must be kept' });
+        }
+        if (await Review.exists({ order: order._id })) {
+            return res.status(400).json({ message: 'This order has reviews, so it must be kept' });
+        }
 
-        // **MODIFIED: V3 Restock Logic**
-        if (order.isPaid && !order.isCancelled) {
-            console.log('Restocking variants for deleted paid order...');
-            const bulkOps = order.orderItems.map(item => ({
-                updateOne: {
-                    filter: { 
-                        _id: item.product, 
-                        "variants": { 
-                            "$elemMatch": { 
-                                "size": item.size, 
-                                // **FIXED: Use item.colorName**
-                                "colorName": item.colorName 
-                            }
-                        }
-                    },
-                    update: { 
-                        "$inc": { "variants.$.stock": item.quantity } 
-                    }
-                }
-            }));
-            await Product.bulkWrite(bulkOps);
-        }
-        // **END MODIFIED**
-
-        await Order.deleteOne({ _id: req.params.id });
+        // Same conditions again, in case the order moved on since it was loaded
+        const deleted = await Order.findOneAndDelete({
+            _id: order._id,
+            archivedAt: { $ne: null },
+            $or: [{ status: 'cancelled' }, { stockCommittedAt: null }],
+        });
+        if (!deleted) {
+            return res.status(409).json({ message: 'This order changed while it was being purged. Please reload and try again.' });
+        }
+        // An unpaid online order may still be holding stock
+        await releaseReservations(order._id, 'purged');
         res.json({ message: 'Order permanently deleted' });
 
     } catch (error) {
-        console.error('Error deleting order:', error);
-        // ** THIS IS THE LINE THAT WAS FIXED **
+        console.error('Error purging order:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid order ID format' }); }
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const WebhookEvent = require('../models/WebhookEvent');
+const { verifyWebhookSignature, markOrderPaid } = require('../utils/payments');
+const { canTransition, transitionOrder } = require('../utils/orderStatus');
+
+/**
+ * Marks the order behind a captured payment as paid.
+ * Used by both `payment.captured` and `order.paid`, which Razorpay may send
+ * for the same payment; markOrderPaid makes the second one a no-op. A capture
+ * for an order that was cancelled meanwhile is refunded, not kept.
+ */
+const handlePaymentCaptured = async (payment) => {
+    const order = await Order.findOne({ 'paymentDetails.razorpayOrderId': payment.order_id }).select('_id');
+    if (!order) {
+        console.warn(`Webhook: no order for Razorpay order ${payment.order_id}`);
+        return;
+    }
+
+    await markOrderPaid(order._id, {
+        razorpayOrderId: payment.order_id,
+        razorpayPaymentId: payment.id,
+        paymentMethod: payment.method,
+    }, { note: `Razorpay webhook (${payment.id})` });
+};
+
+/**
+ * Records why a payment failed. The order keeps its stock holds until
+ * `reservationExpiresAt`: Razorpay lets the customer retry on the same
+ * Razorpay order, and a retry that succeeds must find its stock still held.
+ */
+const handlePaymentFailed = async (payment) => {
+    await Order.updateOne(
+        { 'paymentDetails.razorpayOrderId': payment.order_id, status: 'pending_payment' },
+        {
+            $set: {
+                'paymentDetails.failureReason': payment.error_description || payment.error_code || 'Payment failed',
+                'paymentDetails.failedAt': Date.now(),
+            },
+        }
+    );
+};
+
+const handleRefundProcessed = async (refund) => {
+    // Refunds of payments an order couldn't take (utils/payments.js) aren't
+    // refunds of the order itself
+    const stray = await Order.findOneAndUpdate(
+        { 'strayPayments.razorpayPaymentId': refund.payment_id },
+        { $set: { 'strayPayments.$.status': refund.status, 'strayPayments.$.razorpayRefundId': refund.id } }
+    ).select('_id');
+    if (stray) return;
+
+    const order = await Order.findOne({ 'paymentDetails.razorpayPaymentId': refund.payment_id });
+    if (!order) {
+        console.warn(`Webhook: no order for Razorpay payment ${refund.payment_id}`);
+        return;
+    }
+
+    const entry = {
+        razorpayRefundId: refund.id,
+        amount: refund.amount / 100,
+        status: refund.status,
+        processedAt: Date.now(),
+    };
+
+    const existing = order.refunds.find(r => r.razorpayRefundId === refund.id);
+    if (existing) {
+        Object.assign(existing, entry);
+    } else {
+        order.refunds.push(entry);
+    }
+
+    // Once everything that was paid has come back, the order is refunded
+    const refunded = order.refunds
+        .filter(r => r.status === 'processed')
+        .reduce((sum, r) => sum + r.amount, 0);
+    if (refunded >= order.totalPrice && canTransition(order.status, 'refunded', order.paymentMethod)) {
+        transitionOrder(order, 'refunded', { note: 'Refunded in full (Razorpay webhook)' });
+    }
+    await order.save();
+
+    // Refunds raised from the returns workflow are tracked on the Return too
+    await Return.updateOne(
+        { 'refund.razorpayRefundId': refund.id },
+        { $set: { 'refund.status': refund.status, 'refund.processedAt': Date.now() } }
+    );
+};
+
+/**
+ * @route   POST /api/payments/razorpay/webhook
+ * @desc    Receive Razorpay webhook events (signed with RAZORPAY_WEBHOOK_SECRET)
+ * @access  Public (HMAC-verified)
+ */
+router.post('/razorpay/webhook', async (req, res) => {
+    // req.rawBody is captured by the express.json() `verify` hook in server.js
+    if (!verifyWebhookSignature(req.rawBody, req.get('X-Razorpay-Signature'))) {
+        return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    const { event, payload } = req.body;
+    // Razorpay retries with the same event id; fall back to a body hash if it's missing.
+    const eventId = req.get('X-Razorpay-Event-Id')
+        || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    try {
+        await WebhookEvent.create({ provider: 'razorpay', eventId, event });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.json({ status: 'duplicate' });
+        }
+        console.error('Error recording webhook event:', error);
+        return res.status(500).json({ message: 'Server error' });
+    }
+
+    try {
+        switch (event) {
+            case 'payment.captured':
+                await handlePaymentCaptured(payload.payment.entity);
+                break;
+            case 'order.paid':
+                await handlePaymentCaptured(payload.payment.entity);
+                break;
+            case 'payment.failed':
+                await handlePaymentFailed(payload.payment.entity);
+                break;
+            case 'refund.processed':
+                await handleRefundProcessed(payload.refund.entity);
+                break;
+            default:
+                // Subscribed to something we don't handle yet; acknowledge it anyway.
+                break;
+        }
+
+        await WebhookEvent.updateOne({ eventId }, { $set: { processedAt: Date.now() } });
+        res.json({ status: 'ok' });
+
+    } catch (error) {
+        console.error(`Error processing webhook ${event}:`, error);
+        // Forget the event so Razorpay's retry gets processed from scratch.
+        await WebhookEvent.deleteOne({ eventId });
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,82 +1,292 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const router = express.Router()
 const Product = require("../models/Product")
 const Category = require("../models/Category") // <-- 1. IMPORT CATEGORY MODEL
-const { protect, admin } = require("../middleware/authMiddleware")
+const { protect, requirePermission } = require("../middleware/authMiddleware")
+const { rankProducts, prefixRegex } = require("../utils/search")
+const { parseListingQuery, buildListingPipeline, formatListing, emptyListing } = require("../utils/productListing")
+const { uploadImages, uploadSpreadsheet } = require("../middleware/uploadMiddleware")
+const { storeImage, removeStoredImages } = require("../utils/images")
+const { HttpError, sendHttpError } = require("../utils/httpError")
+const { findVariant } = require("../utils/variants")
+const { runningCampaigns, applySalePricing, pricesAt } = require("../utils/sales")
+const PriceHistory = require("../models/PriceHistory")
+const {
+  parseSpreadsheet,
+  planImport,
+  applyImport,
+  summariseImport,
+  exportRows,
+  writeSpreadsheet,
+} = require("../utils/productSpreadsheet")
+
+const SEARCH_PAGE_SIZE = 20
+const SEARCH_MAX_PAGE_SIZE = 50
+const SUGGEST_LIMIT = 8
+const MAX_PRODUCT_IMAGES = 10
+
+// What PUT /:id may change on a variant. Not stock: that only moves through
+// POST /api/inventory/adjustments and the sales/returns code, which log it.
+const EDITABLE_VARIANT_FIELDS = ["sku", "barcode", "price", "compareAtPrice", "size", "colorName", "colorHex"]
+
+const editableVariantFields = (sent) => Object.fromEntries(
+  EDITABLE_VARIANT_FIELDS.filter(field => sent[field] !== undefined).map(field => [field, sent[field]])
+)
+
+/**
+ * Applies the `variants` sent to PUT /:id onto the product's own, so existing
+ * variants keep their `_id` (which carts, orders, holds and the ledger point
+ * at) and their stock. A sent variant is matched by `_id`, else SKU, else
+ * size + colour; unmatched ones are added with no stock, and existing ones
+ * left out are removed.
+ *
+ * @throws {HttpError} 400 for an unknown `_id` or a variant sent twice
+ */
+const mergeVariants = (product, variants) => {
+  if (!Array.isArray(variants)) {
+    throw new HttpError(400, "variants must be a list.")
+  }
+
+  const matched = new Set()
+  const merged = variants.map(sent => {
+    const existing = findVariant(product, { variant: sent._id, sku: sent.sku, size: sent.size, colorName: sent.colorName })
+    if (!existing) {
+      if (sent._id) throw new HttpError(400, `Variant ${sent._id} is not one of this product's variants.`)
+      return editableVariantFields(sent)
+    }
+    if (matched.has(existing.id)) {
+      throw new HttpError(400, `Variant ${existing.sku || existing.id} is listed more than once.`)
+    }
+    matched.add(existing.id)
+    existing.set(editableVariantFields(sent))
+    return existing
+  })
+  product.set("variants", merged)
+}
 
 /**
- * @route   GET /api/products
- * @desc    Get all products (or filter by category & subcategory)
+ * @route   GET /api/products?category=&subcategory=&size=&color=&minPrice=&maxPrice=&inStock=&sort=&page=&limit=
+ * @desc    One page of products with facet counts (sizes, colours, price buckets).
+ *          sort: newest (default), price_asc, price_desc, popular, rating, name.
+ *          size and color take comma-separated lists.
  * @access  Public
  */
-// ===================================================================
-// === START OF FIX: This entire route is replaced ===
-// ===================================================================
 router.get("/", async (req, res) => {
   try {
-    const { category: parentCategory, subcategory } = req.query
+    const { category, subcategory } = req.query
+    const options = parseListingQuery(req.query)
 
-    // This is the filter that will be applied to the Product collection
-    const productFilter = {}
+    // Filters every result and every facet count share
+    const baseMatch = { archivedAt: null }
 
-    // This is the filter to find the categories first
-    const categoryFilter = {}
+    // ?category= is a category id or name (e.g. "Women"); ?subcategory= is a
+    // name somewhere beneath it. Either way, products in descendant
+    // categories are included.
+    if (category || subcategory) {
+      let scope = []
+      if (category) {
+        scope = await Category.find(mongoose.isObjectIdOrHexString(category) ? { _id: category } : { name: category })
+      }
+      if (subcategory && (!category || scope.length > 0)) {
+        const subcategoryFilter = { name: subcategory }
+        if (category) {
+          subcategoryFilter.$or = scope.map(c => ({ path: new RegExp(`^${c.path}`) }))
+        }
+        scope = await Category.find(subcategoryFilter)
+      }
+
+      const categoryIds = await Category.subtreeIds(scope)
+      if (categoryIds.length === 0) {
+        // No categories matched, so no products will match.
+        return res.json(emptyListing(options))
+      }
 
-    if (parentCategory) {
-      categoryFilter.parentCategory = parentCategory
+      baseMatch.category = { $in: categoryIds }
     }
 
-    if (subcategory) {
-      categoryFilter.name = subcategory // The subcategory is the 'name' field
+    const campaigns = await runningCampaigns()
+    const [result] = await Product.aggregate(buildListingPipeline(options, baseMatch, campaigns))
+
+    const listing = formatListing(result, options)
+    await applySalePricing(listing.products, campaigns)
+    res.json(listing)
+  } catch (error) {
+    console.error("Error fetching products:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   GET /api/products/search?q=&page=&limit=
+ * @desc    Search name, description, category and colours, ranked by relevance
+ * @access  Public
+ */
+router.get("/search", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim()
+    if (!q) {
+      return res.status(400).json({ message: "Please enter something to search for" })
     }
 
-    // If either filter is present, we must first find the category IDs
-    if (parentCategory || subcategory) {
-      // Find all categories that match the filter (e.g., parent="Kids" AND name="Boys Kurtas")
-      const categories = await Category.find(categoryFilter).select('_id')
-      
-      if (categories.length === 0) {
-        // No categories matched, so no products will match.
-        return res.json([])
-      }
-      
-      // Get an array of just the IDs
-      const categoryIds = categories.map(c => c._id)
-      
-      // Set the product filter to find products where the 'category' field
-      // is one of the IDs in our array.
-      productFilter.category = { $in: categoryIds }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, 1), SEARCH_MAX_PAGE_SIZE)
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+
+    // The catalogue is small enough to rank in memory, which is what lets us
+    // forgive typos (a text index only matches whole, correctly spelled words)
+    const products = await Product.find({ archivedAt: null })
+      .select("name description price minPrice maxPrice images category variants createdAt")
+      .populate("category", "name ancestors")
+      .lean()
+
+    const results = rankProducts(q, products)
+    const pageResults = results.slice((page - 1) * limit, page * limit)
+    await applySalePricing(pageResults, await runningCampaigns())
+
+    res.json({
+      query: q,
+      total: results.length,
+      page,
+      pages: Math.ceil(results.length / limit),
+      products: pageResults,
+    })
+  } catch (error) {
+    console.error("Error searching products:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   GET /api/products/search/suggest?q=
+ * @desc    Autocomplete: product and category names starting with the typed words
+ * @access  Public
+ */
+router.get("/search/suggest", async (req, res) => {
+  try {
+    const pattern = prefixRegex(String(req.query.q || ""))
+    if (!pattern) {
+      return res.json({ products: [], categories: [] })
     }
 
-    // Find the products using the built filter (which is either {} or { category: { $in: [...] } })
-    // We populate 'parentCategory' so the admin table can display it.
-    const products = await Product.find(productFilter)
-        .populate("category", "name parentCategory") // <-- 2. POPULATE PARENT CATEGORY
+    const [products, categories] = await Promise.all([
+      Product.find({ name: pattern, archivedAt: null }).select("name images").limit(SUGGEST_LIMIT).lean(),
+      Category.find({ name: pattern, archivedAt: null }).select("name ancestors").limit(SUGGEST_LIMIT).lean(),
+    ])
 
-    res.json(products)
+    res.json({
+      products: products.map(p => ({ _id: p._id, name: p.name, image: p.images[0] })),
+      categories,
+    })
   } catch (error) {
-    console.error("Error fetching products:", error)
+    console.error("Error fetching search suggestions:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   GET /api/products/export?format=csv|xlsx
+ * @desc    Download every variant of every live product as a spreadsheet row,
+ *          in the import format (archived products are left out)
+ * @access  Private/Staff (products:write)
+ */
+router.get("/export", protect, requirePermission("products:write"), async (req, res) => {
+  try {
+    const format = req.query.format === "xlsx" ? "xlsx" : "csv"
+    const file = await writeSpreadsheet(await exportRows(), format)
+    const stamp = new Date().toISOString().slice(0, 10)
+
+    res.set({
+      "Content-Type": format === "xlsx"
+        ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        : "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="products-${stamp}.${format}"`,
+    })
+    res.send(file)
+  } catch (error) {
+    console.error("Error exporting products:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   POST /api/products/import?dryRun=true&matchBy=name|sku
+ * @desc    Create/update products from a .csv or .xlsx (multipart field `file`),
+ *          one row per variant. Nothing is saved if any row has an error;
+ *          `dryRun=true` only reports what would change.
+ * @access  Private/Staff (products:write)
+ */
+router.post("/import", protect, requirePermission("products:write"), uploadSpreadsheet("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Please choose a .csv or .xlsx file to import" })
+    }
+
+    const dryRun = req.query.dryRun === "true" || req.query.dryRun === "1"
+    const matchBy = req.query.matchBy === "sku" ? "sku" : "name"
+
+    const rows = await parseSpreadsheet(req.file.buffer, req.file.originalname)
+    const { errors, plan } = await planImport(rows, { matchBy })
+    const report = { dryRun, matchBy, rows: rows.length, ...summariseImport(plan), errors }
+
+    if (dryRun) {
+      return res.json(report)
+    }
+    if (errors.length > 0) {
+      return res.status(422).json({ message: "The file has errors, so nothing was imported", ...report })
+    }
+
+    await applyImport(plan, { changedBy: req.user._id })
+    res.json({ message: "Import complete", ...report })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error("Error importing products:", error)
     res.status(500).json({ message: "Server error" })
   }
 })
-// ===================================================================
-// === END OF FIX ===
-// ===================================================================
 
+/**
+ * @route   GET /api/products/archived?page=&limit=
+ * @desc    Archived products, most recently archived first
+ * @access  Private/Staff (products:write)
+ */
+router.get("/archived", protect, requirePermission("products:write"), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, 1), SEARCH_MAX_PAGE_SIZE)
+    const filter = { archivedAt: { $ne: null } }
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ archivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("category", "name ancestors")
+        .populate("archivedBy", "name email"),
+      Product.countDocuments(filter),
+    ])
+
+    res.json({ products, page, limit, total, pages: Math.ceil(total / limit) })
+  } catch (error) {
+    console.error("Error fetching archived products:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
 
 /**
  * @route   GET /api/products/:id
- * @desc    Get a single product
+ * @desc    Get a single product. Archived products still resolve (for past
+ *          orders) and carry `archivedAt`.
  * @access  Public
  */
 router.get("/:id", async (req, res) => {
   try {
-    // This route is also unchanged and works with the new model.
     const product = await Product.findById(req.params.id)
-        .populate("category", "name parentCategory") // <-- 3. (Optional but good) POPULATE PARENT HERE TOO
+        .populate("category", "name ancestors")
+        .lean()
     
     if (product) {
-      res.json(product)
+      const [priced] = await applySalePricing([product], await runningCampaigns())
+      res.json(priced)
     } else {
       res.status(404).json({ message: "Product not found" })
     }
@@ -86,15 +296,61 @@ router.get("/:id", async (req, res) => {
   }
 })
 
+/**
+ * @route   GET /api/products/:id/price-history?from=&to=&at=
+ * @desc    Regular price changes (newest first), optionally between two dates.
+ *          With ?at=, also what each variant cost at that moment, sales included.
+ * @access  Private/Staff (products:write)
+ */
+router.get("/:id/price-history", protect, requirePermission("products:write"), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select("name price category variants")
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" })
+    }
+
+    const dates = {}
+    for (const param of ["from", "to", "at"]) {
+      if (req.query[param] === undefined) continue
+      dates[param] = new Date(req.query[param])
+      if (Number.isNaN(dates[param].getTime())) {
+        return res.status(400).json({ message: `${param} must be a date, e.g. 2025-10-20 or 2025-10-20T18:30:00Z` })
+      }
+    }
+
+    const filter = { product: product._id }
+    if (dates.from || dates.to) {
+      filter.changedAt = {}
+      if (dates.from) filter.changedAt.$gte = dates.from
+      if (dates.to) filter.changedAt.$lte = dates.to
+    }
+    const entries = await PriceHistory.find(filter)
+      .sort({ changedAt: -1 })
+      .populate("changedBy", "name email")
+
+    res.json({
+      product: { _id: product._id, name: product.name },
+      entries,
+      pricesAt: dates.at ? { at: dates.at, variants: await pricesAt(product, dates.at) } : undefined,
+    })
+  } catch (error) {
+    console.error("Error fetching price history:", error)
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid product ID" })
+    }
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 /**
  * @route   POST /api/products
  * @desc    Create a new product (V3: With Variants)
- * @access  Private/Admin
+ * @access  Private/Staff (products:write)
  */
-router.post("/", protect, admin, async (req, res) => {
+router.post("/", protect, requirePermission("products:write"), async (req, res) => {
   try {
     // **MODIFIED: Destructuring new V3 fields**
-    const { name, description, price, category, images, variants } = req.body
+    const { name, description, price, category, images, variants, hsnCode } = req.body
 
     // The old `sizes`, `colors`, and `stock` are gone.
 
@@ -105,12 +361,19 @@ router.post("/", protect, admin, async (req, res) => {
       category,
       images,
       variants, // **NEW: Saving the variants array**
+      hsnCode,
     })
 
-    const savedProduct = await newProduct.save()
-    res.status(201).json(savedProduct)
+    Object.assign(newProduct.$locals, { changedBy: req.user._id, priceSource: "admin" })
+    // In a transaction, so the price history and stock ledger rows the
+    // save hooks write commit (or not) with the product
+    await mongoose.connection.transaction(session => newProduct.save({ session }))
+    res.status(201).json(newProduct)
   } catch (error) {
     console.error("Error creating product:", error)
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "One of these SKUs is already used by another product." })
+    }
     if (error.name === "ValidationError") {
       // This will now catch our new validation, e.g., "Product must have at least one variant."
       return res.status(422).json({ message: "Validation failed", errors: error.errors })
@@ -121,37 +384,54 @@ router.post("/", protect, admin, async (req, res) => {
 
 /**
  * @route   PUT /api/products/:id
- * @desc    Update a product (V3: With Variants)
- * @access  Private/Admin
+ * @desc    Update a product (V3: With Variants). Variants are matched to the
+ *          existing ones (see mergeVariants); any `stock` sent is ignored.
+ * @access  Private/Staff (products:write)
  */
-router.put("/:id", protect, admin, async (req, res) => {
+router.put("/:id", protect, requirePermission("products:write"), async (req, res) => {
   try {
     // **MODIFIED: We now update with the new V3 fields**
-    const { name, description, price, category, images, variants } = req.body
-    
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id, 
-      {
-        name,
-        description,
-        price,
-        category,
-        images,
-        variants, // **NEW: Updating the variants array**
-      }, 
-      {
-        new: true,
-        runValidators: true,
+    const { name, description, price, category, images, variants, hsnCode } = req.body
+
+    // Loaded and saved (rather than findByIdAndUpdate) so the schema hooks
+    // fill in new variants' SKUs and refresh the price range. Both happen in
+    // one transaction, so stock sold or adjusted in between is never written
+    // back over: the conflicting write makes the transaction start again.
+    let product = null
+    let orphanedUploads = []
+    await mongoose.connection.transaction(async (session) => {
+      product = await Product.findById(req.params.id).session(session)
+      if (!product) return
+
+      const update = { name, description, price, category, images, hsnCode }
+
+      // Uploaded images dropped from `images` lose their files once the update sticks
+      orphanedUploads = []
+      if (Array.isArray(images)) {
+        orphanedUploads = product.imageUploads.filter(upload => !images.includes(upload.url))
+        update.imageUploads = product.imageUploads.filter(upload => images.includes(upload.url))
       }
-    )
 
-    if (updatedProduct) {
-      res.json(updatedProduct)
-    } else {
-      res.status(404).json({ message: "Product not found" })
+      Object.entries(update).forEach(([field, value]) => {
+        if (value !== undefined) product.set(field, value)
+      })
+      if (variants !== undefined) mergeVariants(product, variants)
+
+      Object.assign(product.$locals, { changedBy: req.user._id, priceSource: "admin" })
+      await product.save({ session })
+    })
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" })
     }
+
+    await removeStoredImages(orphanedUploads)
+    res.json(product)
   } catch (error) {
+    if (sendHttpError(res, error)) return
     console.error("Error updating product:", error)
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "One of these SKUs is already used by another product." })
+    }
     if (error.name === "ValidationError") {
       return res.status(422).json({ message: "Validation failed", errors: error.errors })
     }
@@ -160,23 +440,135 @@ router.put("/:id", protect, admin, async (req, res) => {
 })
 
 /**
- * @route   DELETE /api/products/:id
- * @desc    Delete a product
- * @access  Private/Admin
+ * @route   POST /api/products/:id/images
+ * @desc    Upload product images (multipart field `images`, JPEG/PNG/WebP).
+ *          Each is resized to thumbnail, card and zoom sizes in WebP + JPEG.
+ * @access  Private/Staff (products:write)
  */
-router.delete("/:id", protect, admin, async (req, res) => {
+router.post("/:id/images", protect, requirePermission("products:write"), uploadImages("images", MAX_PRODUCT_IMAGES), async (req, res) => {
+  const stored = []
   try {
-    // This route is unchanged, it works perfectly.
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: "Please choose at least one image to upload" })
+    }
+
     const product = await Product.findById(req.params.id)
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" })
+    }
+    if (product.images.length + req.files.length > MAX_PRODUCT_IMAGES) {
+      return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_IMAGES} images` })
+    }
+
+    for (const file of req.files) {
+      stored.push(await storeImage(file.buffer, { prefix: `products/${product._id}`, preset: "product" }))
+    }
+
+    product.images.push(...stored.map(image => image.url))
+    product.imageUploads.push(...stored)
+    const updatedProduct = await product.save()
+
+    res.status(201).json(updatedProduct)
+  } catch (error) {
+    // Don't leave files behind for images that never made it onto the product
+    await removeStoredImages(stored)
+    if (sendHttpError(res, error)) return
+    console.error("Error uploading product images:", error)
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid product ID" })
+    }
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   DELETE /api/products/:id
+ * @desc    Archive a product: it leaves the storefront and carts but stays
+ *          for past orders. See /restore and /purge.
+ * @access  Private/Staff (products:write)
+ */
+router.delete("/:id", protect, requirePermission("products:write"), async (req, res) => {
+  try {
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, archivedAt: null },
+      { $set: { archivedAt: new Date(), archivedBy: req.user._id } },
+      { new: true }
+    )
 
     if (product) {
-      await product.deleteOne()
-      res.json({ message: "Product removed" })
+      res.json({ message: "Product archived", product })
+    } else if (await Product.exists({ _id: req.params.id })) {
+      res.status(400).json({ message: "Product is already archived" })
     } else {
       res.status(404).json({ message: "Product not found" })
     }
   } catch (error) {
-    console.error("Error deleting product:", error)
+    console.error("Error archiving product:", error)
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid product ID" })
+    }
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   PUT /api/products/:id/restore
+ * @desc    Bring an archived product back to the storefront
+ * @access  Private/Staff (products:write)
+ */
+router.put("/:id/restore", protect, requirePermission("products:write"), async (req, res) => {
+  try {
+    const archived = await Product.findById(req.params.id).select("category").populate("category", "name archivedAt")
+    if (archived && archived.category && archived.category.archivedAt) {
+      return res.status(400).json({ message: `Its category "${archived.category.name}" is archived; restore that first` })
+    }
+
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, archivedAt: { $ne: null } },
+      { $unset: { archivedAt: "", archivedBy: "" } },
+      { new: true }
+    )
+
+    if (product) {
+      res.json(product)
+    } else if (await Product.exists({ _id: req.params.id })) {
+      res.status(400).json({ message: "Product is not archived" })
+    } else {
+      res.status(404).json({ message: "Product not found" })
+    }
+  } catch (error) {
+    console.error("Error restoring product:", error)
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid product ID" })
+    }
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+/**
+ * @route   DELETE /api/products/:id/purge
+ * @desc    Permanently delete an archived product and its uploaded images.
+ *          Orders keep their own copy of the name, price and image.
+ * @access  Private/Staff (products:delete)
+ */
+router.delete("/:id/purge", protect, requirePermission("products:delete"), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id)
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" })
+    }
+    if (!product.archivedAt) {
+      return res.status(400).json({ message: "Archive the product before purging it" })
+    }
+
+    await product.deleteOne()
+    await removeStoredImages(product.imageUploads)
+    res.json({ message: "Product permanently deleted" })
+  } catch (error) {
+    console.error("Error purging product:", error)
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid product ID" })
+    }
     res.status(500).json({ message: "Server error" })
   }
 })
@@ -0,0 +1,335 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { hasPermission } = require('../utils/permissions');
+const { restockItems } = require('../utils/inventory');
+const { roundMoney } = require('../utils/money');
+const { canTransition, transitionOrder } = require('../utils/orderStatus');
+const razorpay = require('../utils/razorpay');
+const { HttpError, sendHttpError } = require('../utils/httpError');
+
+// How many days after delivery a customer may ask for a return.
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS || '7', 10);
+
+/**
+ * @route   POST /api/returns
+ * @desc    Request a return for items of a delivered order
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+    try {
+        const { orderId, items, reason } = req.body; // items: [{ orderItemId, quantity }]
+
+        if (!orderId || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ message: 'Please choose the items you want to return.' });
+        }
+        if (!reason || reason.trim() === '') {
+            return res.status(400).json({ message: 'Please tell us why you are returning these items.' });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) { return res.status(404).json({ message: 'Order not found' }); }
+        if (order.user.toString() !== req.user.id) { return res.status(401).json({ message: 'Not authorized' }); }
+        if (!['delivered', 'returned'].includes(order.status) || !order.deliveredAt) {
+            return res.status(400).json({ message: 'Only delivered orders can be returned.' });
+        }
+
+        const windowEnds = new Date(order.deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        if (Date.now() > windowEnds.getTime()) {
+            return res.status(400).json({ message: `The ${RETURN_WINDOW_DAYS}-day return window for this order has closed.` });
+        }
+
+        // Quantities already tied up in other (non-rejected) returns for this order
+        const previousReturns = await Return.find({ order: order._id, status: { $ne: 'rejected' } });
+        const alreadyReturned = new Map();
+        previousReturns.forEach(r => r.items.forEach(item => {
+            const key = item.orderItem.toString();
+            alreadyReturned.set(key, (alreadyReturned.get(key) || 0) + item.quantity);
+        }));
+
+        const returnItems = [];
+        for (const requested of items) {
+            const orderItem = order.orderItems.id(requested.orderItemId);
+            if (!orderItem) {
+                return res.status(404).json({ message: `Item ${requested.orderItemId} is not part of this order.` });
+            }
+
+            const quantity = Number(requested.quantity);
+            const returnable = orderItem.quantity - (alreadyReturned.get(orderItem._id.toString()) || 0);
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+                return res.status(400).json({ message: `You can return at most ${returnable} of ${orderItem.name}.` });
+            }
+
+            // What the customer actually paid per unit: after coupon, plus tax
+            const linePaid = orderItem.price * orderItem.quantity - (orderItem.discount || 0) + (orderItem.tax || 0);
+            returnItems.push({
+                orderItem: orderItem._id,
+                product: orderItem.product,
+                name: orderItem.name,
+                variant: orderItem.variant,
+                size: orderItem.size,
+                colorName: orderItem.colorName,
+                quantity,
+                price: roundMoney(linePaid / orderItem.quantity),
+            });
+        }
+
+        const newReturn = await Return.create({
+            order: order._id,
+            user: req.user.id,
+            items: returnItems,
+            reason: reason.trim(),
+            statusHistory: [{ status: 'requested', changedBy: req.user.id }],
+        });
+
+        res.status(201).json(newReturn);
+    } catch (error) {
+        console.error('Error requesting return:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid order ID format' }); }
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/returns/myreturns
+ * @desc    Get logged in user's returns
+ * @access  Private
+ */
+router.get('/myreturns', protect, async (req, res) => {
+    try {
+        const returns = await Return.find({ user: req.user.id }).sort({ createdAt: -1 });
+        res.json(returns);
+    } catch (error) {
+        console.error('Error fetching user returns:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/returns
+ * @desc    Get all returns (optionally ?status=requested)
+ * @access  Private/Staff (returns:manage)
+ */
+router.get('/', protect, requirePermission('returns:manage'), async (req, res) => {
+    try {
+        const filter = req.query.status ? { status: req.query.status } : {};
+        const returns = await Return.find(filter).populate('user', 'name email').sort({ createdAt: -1 });
+        res.json(returns);
+    } catch (error) {
+        console.error('Error fetching returns:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/returns/:id
+ * @desc    Get a return by ID
+ * @access  Private
+ */
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const returnDoc = await Return.findById(req.params.id).populate('user', 'name email');
+        if (!returnDoc) { return res.status(404).json({ message: 'Return not found' }); }
+        if (hasPermission(req.user, 'returns:manage') || returnDoc.user._id.toString() === req.user.id) {
+            res.json(returnDoc);
+        } else {
+            return res.status(401).json({ message: 'Not authorized to view this return' });
+        }
+    } catch (error) {
+        console.error('Error fetching return by ID:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid return ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * Builds an admin handler that only moves a return between statuses.
+ */
+const simpleTransition = (status, label) => async (req, res) => {
+    try {
+        const returnDoc = await Return.findById(req.params.id);
+        if (!returnDoc) { return res.status(404).json({ message: 'Return not found' }); }
+
+        if (!returnDoc.setStatus(status, req.user.id, req.body.note)) {
+            return res.status(400).json({ message: `Cannot ${label} a return that is ${returnDoc.status}.` });
+        }
+
+        const updatedReturn = await returnDoc.save();
+        res.json(updatedReturn);
+    } catch (error) {
+        console.error(`Error trying to ${label} return:`, error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+/**
+ * @route   PUT /api/returns/:id/approve
+ * @desc    Approve a return request
+ * @access  Private/Staff (returns:manage)
+ */
+router.put('/:id/approve', protect, requirePermission('returns:manage'), simpleTransition('approved', 'approve'));
+
+/**
+ * @route   PUT /api/returns/:id/reject
+ * @desc    Reject a return request (send a `note` explaining why)
+ * @access  Private/Staff (returns:manage)
+ */
+router.put('/:id/reject', protect, requirePermission('returns:manage'), simpleTransition('rejected', 'reject'));
+
+/**
+ * @route   PUT /api/returns/:id/receive
+ * @desc    Mark returned items as received and (by default) restock them
+ * @access  Private/Staff (returns:manage)
+ */
+router.put('/:id/receive', protect, requirePermission('returns:manage'), async (req, res) => {
+    try {
+        const { restock = true, note } = req.body;
+
+        const returnDoc = await Return.findById(req.params.id);
+        if (!returnDoc) { return res.status(404).json({ message: 'Return not found' }); }
+        if (returnDoc.status !== 'approved') {
+            return res.status(400).json({ message: `Cannot receive a return that is ${returnDoc.status}.` });
+        }
+
+        let received = null;
+        await mongoose.connection.transaction(async (session) => {
+            // Claimed first, so a concurrent request (or a retry) can't restock it again
+            received = await Return.findOneAndUpdate(
+                { _id: returnDoc._id, status: 'approved' },
+                {
+                    $set: { status: 'received' },
+                    $push: { statusHistory: { status: 'received', changedBy: req.user.id, note } },
+                },
+                { new: true, session }
+            );
+            if (!received) {
+                throw new HttpError(409, 'This return has already been received.');
+            }
+
+            // The first received return moves a delivered order to `returned`
+            const order = await Order.findById(received.order).session(session);
+            if (order && canTransition(order.status, 'returned', order.paymentMethod)) {
+                transitionOrder(order, 'returned', { actor: req.user.id, note: `Return ${received._id} received` });
+                await order.save({ session });
+            }
+
+            if (restock) {
+                const toRestock = received.items.filter(item => !item.restocked);
+                await restockItems(toRestock, {
+                    session,
+                    reason: 'return',
+                    order: received.order,
+                    returnRequest: received._id,
+                    user: req.user._id,
+                });
+                toRestock.forEach(item => { item.restocked = true; });
+                await received.save({ session });
+            }
+        });
+
+        res.json(received);
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error receiving return:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid return ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/returns/:id/refund
+ * @desc    Refund a received return (full, or partial with `amount`). Online
+ *          orders are refunded through Razorpay. Cash on Delivery orders are
+ *          refunded by hand first; send the bank/UPI `reference` to record it.
+ * @access  Private/Staff (refunds:issue)
+ */
+router.post('/:id/refund', protect, requirePermission('refunds:issue'), async (req, res) => {
+    try {
+        const returnDoc = await Return.findById(req.params.id);
+        if (!returnDoc) { return res.status(404).json({ message: 'Return not found' }); }
+        if (returnDoc.status !== 'received') {
+            return res.status(400).json({ message: `Cannot refund a return that is ${returnDoc.status}.` });
+        }
+
+        const order = await Order.findById(returnDoc.order);
+        const isCod = Boolean(order) && order.paymentMethod === 'cod';
+        if (!order || (!isCod && !order.paymentDetails.razorpayPaymentId)) {
+            return res.status(400).json({ message: 'No Razorpay payment found for this order.' });
+        }
+        const reference = String(req.body.reference || '').trim();
+        if (isCod && !order.paidAt) {
+            return res.status(400).json({ message: 'The cash for this order was never collected, so there is nothing to refund.' });
+        }
+        if (isCod && !reference) {
+            return res.status(400).json({ message: 'Please give the reference of the bank transfer or UPI payment you refunded with.' });
+        }
+
+        const maxRefund = returnDoc.itemsValue();
+        const amount = req.body.amount !== undefined ? roundMoney(Number(req.body.amount)) : maxRefund;
+        if (!(amount > 0) || amount > maxRefund) {
+            return res.status(400).json({ message: `Refund amount must be between ₹0.01 and ₹${maxRefund}.` });
+        }
+
+        // Claim the return before calling Razorpay, so a concurrent request
+        // (or a retry) can't refund it a second time
+        const claimed = await Return.findOneAndUpdate(
+            { _id: returnDoc._id, status: 'received' },
+            { $set: { status: 'refunding' } },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(409).json({ message: 'This return is already being refunded.' });
+        }
+
+        if (isCod) {
+            // The money has already gone out; this only records it
+            claimed.refund = {
+                method: 'manual',
+                reference,
+                amount,
+                status: 'processed',
+                requestedAt: Date.now(),
+                processedAt: Date.now(),
+            };
+        } else {
+            let refund;
+            try {
+                refund = await razorpay.payments.refund(order.paymentDetails.razorpayPaymentId, {
+                    amount: Math.round(amount * 100),
+                    notes: { returnId: returnDoc._id.toString(), orderId: order._id.toString() },
+                });
+            } catch (error) {
+                await Return.updateOne({ _id: returnDoc._id, status: 'refunding' }, { $set: { status: 'received' } });
+                throw error;
+            }
+
+            claimed.refund = {
+                method: 'razorpay',
+                razorpayRefundId: refund.id,
+                amount,
+                status: refund.status,
+                requestedAt: Date.now(),
+            };
+        }
+        const note = amount < maxRefund ? `Partial refund of ₹${amount}` : `Full refund of ₹${amount}`;
+        claimed.setStatus('refunded', req.user.id, req.body.note || note);
+
+        const updatedReturn = await claimed.save();
+        res.json(updatedReturn);
+    } catch (error) {
+        console.error('Error refunding return:', error);
+        // Razorpay API errors carry a readable description
+        if (error.error && error.error.description) {
+            return res.status(502).json({ message: `Razorpay: ${error.error.description}` });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,316 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { hasPermission } = require('../utils/permissions');
+
+const PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+const REVIEW_SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1, _id: -1 },
+    rating_high: { rating: -1, createdAt: -1, _id: -1 },
+    rating_low: { rating: 1, createdAt: -1, _id: -1 },
+};
+
+// Fields a reviewer may set. Status, votes and the verified order are ours.
+const pickReviewFields = (body) => {
+    const picked = {};
+    ['rating', 'title', 'body', 'photos', 'fit'].forEach(field => {
+        if (body[field] !== undefined) picked[field] = body[field];
+    });
+    return picked;
+};
+
+const pageParams = (query) => ({
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE),
+});
+
+// What the public sees of a review: no voter list, no moderation notes
+const publicReview = (review) => ({
+    _id: review._id,
+    user: review.user ? { _id: review.user._id, name: review.user.name } : null,
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    photos: review.photos,
+    size: review.size,
+    fit: review.fit,
+    helpfulCount: review.helpfulCount,
+    verifiedPurchase: true,
+    createdAt: review.createdAt,
+});
+
+/**
+ * @route   GET /api/reviews/product/:productId?page=&limit=&sort=&rating=
+ * @desc    Approved reviews for a product, plus the rating summary.
+ *          sort: newest (default), helpful, rating_high, rating_low.
+ * @access  Public
+ */
+router.get('/product/:productId', async (req, res) => {
+    try {
+        if (!mongoose.isObjectIdOrHexString(req.params.productId)) {
+            return res.status(400).json({ message: 'Invalid product ID' });
+        }
+
+        const { page, limit } = pageParams(req.query);
+        const sort = REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest;
+
+        const filter = { product: req.params.productId, status: 'approved' };
+        const rating = parseInt(req.query.rating, 10);
+        if (rating >= 1 && rating <= 5) filter.rating = rating;
+
+        const [reviews, total, summary] = await Promise.all([
+            Review.find(filter).sort(sort).skip((page - 1) * limit).limit(limit).populate('user', 'name'),
+            Review.countDocuments(filter),
+            Review.summarise(req.params.productId),
+        ]);
+
+        res.json({
+            summary,
+            reviews: reviews.map(publicReview),
+            page,
+            pages: Math.ceil(total / limit),
+            total,
+        });
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/reviews/myreviews
+ * @desc    The logged-in user's reviews, whatever their moderation status
+ * @access  Private
+ */
+router.get('/myreviews', protect, async (req, res) => {
+    try {
+        const reviews = await Review.find({ user: req.user.id })
+            .select('-helpfulVoters')
+            .sort({ createdAt: -1 })
+            .populate('product', 'name images');
+        res.json(reviews);
+    } catch (error) {
+        console.error('Error fetching my reviews:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/reviews/moderation?status=pending&page=&limit=
+ * @desc    Moderation queue (oldest first)
+ * @access  Private/Staff (reviews:moderate)
+ */
+router.get('/moderation', protect, requirePermission('reviews:moderate'), async (req, res) => {
+    try {
+        const { page, limit } = pageParams(req.query);
+        const filter = { status: req.query.status || 'pending' };
+
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .select('-helpfulVoters')
+                .sort({ createdAt: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('user', 'name email')
+                .populate('product', 'name images'),
+            Review.countDocuments(filter),
+        ]);
+
+        res.json({ reviews, page, pages: Math.ceil(total / limit), total });
+    } catch (error) {
+        console.error('Error fetching moderation queue:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/reviews
+ * @desc    Review a product from one of your delivered orders
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+    try {
+        const { productId } = req.body;
+        if (!mongoose.isObjectIdOrHexString(productId)) {
+            return res.status(400).json({ message: 'Please choose a product to review.' });
+        }
+
+        // Verified buyers only: a delivered (or since returned) order with this product
+        const order = await Order.findOne({
+            user: req.user.id,
+            status: { $in: ['delivered', 'returned'] },
+            'orderItems.product': productId,
+        }).sort({ deliveredAt: -1 });
+        if (!order) {
+            return res.status(403).json({ message: 'You can only review products you have bought and received.' });
+        }
+
+        const existing = await Review.exists({ product: productId, user: req.user.id });
+        if (existing) {
+            return res.status(400).json({ message: 'You have already reviewed this product. Edit your review instead.' });
+        }
+
+        const orderItem = order.orderItems.find(item => item.product.toString() === productId);
+        const review = await Review.create({
+            ...pickReviewFields(req.body),
+            product: productId,
+            user: req.user.id,
+            order: order._id,
+            size: orderItem.size,
+        });
+
+        res.status(201).json(review);
+    } catch (error) {
+        console.error('Error creating review:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'You have already reviewed this product. Edit your review instead.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/reviews/:id
+ * @desc    Edit your review (it goes back to the moderation queue)
+ * @access  Private
+ */
+router.put('/:id', protect, async (req, res) => {
+    try {
+        const review = await Review.findById(req.params.id);
+        if (!review) { return res.status(404).json({ message: 'Review not found' }); }
+        if (review.user.toString() !== req.user.id) { return res.status(401).json({ message: 'Not authorized' }); }
+
+        const wasApproved = review.status === 'approved';
+        review.set(pickReviewFields(req.body));
+        review.status = 'pending';
+        await review.save();
+
+        if (wasApproved) {
+            await Review.refreshProductRating(review.product);
+        }
+
+        res.json(review);
+    } catch (error) {
+        console.error('Error updating review:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid review ID' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/reviews/:id
+ * @desc    Delete a review (its author or a moderator)
+ * @access  Private
+ */
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const review = await Review.findById(req.params.id);
+        if (!review) { return res.status(404).json({ message: 'Review not found' }); }
+        if (review.user.toString() !== req.user.id && !hasPermission(req.user, 'reviews:moderate')) {
+            return res.status(401).json({ message: 'Not authorized' });
+        }
+
+        await review.deleteOne();
+        if (review.status === 'approved') {
+            await Review.refreshProductRating(review.product);
+        }
+
+        res.json({ message: 'Review deleted' });
+    } catch (error) {
+        console.error('Error deleting review:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid review ID' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/reviews/:id/helpful
+ * @desc    Mark a review helpful; send it again to take the vote back
+ * @access  Private
+ */
+router.post('/:id/helpful', protect, async (req, res) => {
+    try {
+        const review = await Review.findOne({ _id: req.params.id, status: 'approved' }).select('user');
+        if (!review) { return res.status(404).json({ message: 'Review not found' }); }
+        if (review.user.toString() === req.user.id) {
+            return res.status(400).json({ message: "You can't vote on your own review." });
+        }
+
+        // Conditional updates, so double clicks can't count twice
+        let updated = await Review.findOneAndUpdate(
+            { _id: review._id, helpfulVoters: { $ne: req.user._id } },
+            { $push: { helpfulVoters: req.user._id }, $inc: { helpfulCount: 1 } },
+            { new: true }
+        );
+        let votedHelpful = true;
+        if (!updated) {
+            updated = await Review.findOneAndUpdate(
+                { _id: review._id, helpfulVoters: req.user._id },
+                { $pull: { helpfulVoters: req.user._id }, $inc: { helpfulCount: -1 } },
+                { new: true }
+            );
+            votedHelpful = false;
+        }
+
+        res.json({ helpfulCount: updated ? updated.helpfulCount : 0, votedHelpful });
+    } catch (error) {
+        console.error('Error voting on review:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid review ID' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Approve / hide share everything but the target status
+const moderate = (status) => async (req, res) => {
+    try {
+        const review = await Review.findById(req.params.id);
+        if (!review) { return res.status(404).json({ message: 'Review not found' }); }
+
+        review.status = status;
+        review.moderation = { by: req.user.id, at: new Date(), note: req.body.note };
+        await review.save();
+        await Review.refreshProductRating(review.product);
+
+        res.json(review);
+    } catch (error) {
+        console.error(`Error setting review ${status}:`, error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid review ID' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+/**
+ * @route   PUT /api/reviews/:id/approve
+ * @desc    Publish a review
+ * @access  Private/Staff (reviews:moderate)
+ */
+router.put('/:id/approve', protect, requirePermission('reviews:moderate'), moderate('approved'));
+
+/**
+ * @route   PUT /api/reviews/:id/hide
+ * @desc    Take a review out of public listings (and the product rating)
+ * @access  Private/Staff (reviews:moderate)
+ */
+router.put('/:id/hide', protect, requirePermission('reviews:moderate'), moderate('hidden'));
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const SaleCampaign = require('../models/SaleCampaign');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+// Fields an admin may set
+const CAMPAIGN_FIELDS = ['name', 'description', 'type', 'value', 'products', 'categories', 'startsAt', 'endsAt'];
+// What may still change once a sale has started; the rest decides past prices
+const RUNNING_CAMPAIGN_FIELDS = ['name', 'description', 'endsAt'];
+
+const pickCampaignFields = (body, fields = CAMPAIGN_FIELDS) => {
+    const picked = {};
+    fields.forEach(field => {
+        if (body[field] !== undefined) picked[field] = body[field];
+    });
+    return picked;
+};
+
+// A start this far in the past is taken as "now" (clock skew, slow forms);
+// anything earlier would rewrite prices customers already paid
+const START_GRACE_MS = 5 * 60 * 1000;
+const startsInPast = (startsAt, now) => startsAt !== undefined && new Date(startsAt) < new Date(now - START_GRACE_MS);
+
+// scheduled / running / ended -> a query on the campaign dates
+const STATUS_FILTERS = {
+    scheduled: (now) => ({ startsAt: { $gt: now } }),
+    running: (now) => ({ startsAt: { $lte: now }, endsAt: { $gt: now } }),
+    ended: (now) => ({ endsAt: { $lte: now } }),
+};
+
+/**
+ * @route   GET /api/sales/active
+ * @desc    Sales running right now, for storefront banners
+ * @access  Public
+ */
+router.get('/active', async (req, res) => {
+    try {
+        const campaigns = await SaleCampaign.find(STATUS_FILTERS.running(new Date()))
+            .select('name description type value products categories startsAt endsAt')
+            .sort({ endsAt: 1 });
+        res.json(campaigns);
+    } catch (error) {
+        console.error('Error fetching active sales:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/sales?status=scheduled|running|ended
+ * @desc    Get sale campaigns (all of them without ?status)
+ * @access  Private/Staff (promotions:manage)
+ */
+router.get('/', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const statusFilter = STATUS_FILTERS[req.query.status];
+        const campaigns = await SaleCampaign.find(statusFilter ? statusFilter(new Date()) : {}).sort({ startsAt: -1 });
+        res.json(campaigns);
+    } catch (error) {
+        console.error('Error fetching sales:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/sales/:id
+ * @desc    Get a sale campaign by ID
+ * @access  Private/Staff (promotions:manage)
+ */
+router.get('/:id', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const campaign = await SaleCampaign.findById(req.params.id)
+            .populate('products', 'name')
+            .populate('categories', 'name ancestors');
+        if (!campaign) { return res.status(404).json({ message: 'Sale not found' }); }
+        res.json(campaign);
+    } catch (error) {
+        console.error('Error fetching sale:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid sale ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/sales
+ * @desc    Schedule a sale
+ * @access  Private/Staff (promotions:manage)
+ */
+router.post('/', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        if (startsInPast(req.body.startsAt, Date.now())) {
+            return res.status(400).json({ message: "A sale can't start in the past." });
+        }
+        const campaign = await SaleCampaign.create({ ...pickCampaignFields(req.body), createdBy: req.user._id });
+        res.status(201).json(campaign);
+    } catch (error) {
+        console.error('Error creating sale:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/sales/:id
+ * @desc    Update a sale. Once it has started only the name, description and
+ *          an earlier end time can change, and an ended sale can't be changed at all.
+ * @access  Private/Staff (promotions:manage)
+ */
+router.put('/:id', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const campaign = await SaleCampaign.findById(req.params.id);
+        if (!campaign) { return res.status(404).json({ message: 'Sale not found' }); }
+
+        const now = new Date();
+        if (campaign.startsAt <= now) {
+            const locked = CAMPAIGN_FIELDS.filter(f => !RUNNING_CAMPAIGN_FIELDS.includes(f) && req.body[f] !== undefined);
+            if (locked.length > 0) {
+                return res.status(400).json({ message: `This sale has started, so ${locked.join(', ')} can no longer change.` });
+            }
+            if (req.body.endsAt !== undefined) {
+                if (campaign.endsAt <= now) {
+                    return res.status(400).json({ message: 'This sale has already ended.' });
+                }
+                if (new Date(req.body.endsAt) < now) {
+                    return res.status(400).json({ message: 'A running sale can end now at the earliest.' });
+                }
+                if (new Date(req.body.endsAt) > campaign.endsAt) {
+                    return res.status(400).json({ message: 'A running sale can end earlier, but not be extended. Start a new sale instead.' });
+                }
+            }
+        } else if (startsInPast(req.body.startsAt, now)) {
+            return res.status(400).json({ message: "A sale can't start in the past." });
+        }
+
+        // Assign then save so the validators can see the other fields
+        campaign.set(pickCampaignFields(req.body, campaign.startsAt <= now ? RUNNING_CAMPAIGN_FIELDS : CAMPAIGN_FIELDS));
+        const updatedCampaign = await campaign.save();
+        res.json(updatedCampaign);
+    } catch (error) {
+        console.error('Error updating sale:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid sale ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/sales/:id/end
+ * @desc    End a running sale now
+ * @access  Private/Staff (promotions:manage)
+ */
+router.post('/:id/end', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const now = new Date();
+        const campaign = await SaleCampaign.findOneAndUpdate(
+            { _id: req.params.id, ...STATUS_FILTERS.running(now) },
+            { $set: { endsAt: now } },
+            { new: true }
+        );
+        if (!campaign) {
+            return res.status(400).json({ message: 'Only a running sale can be ended. Delete a scheduled one instead.' });
+        }
+        res.json(campaign);
+    } catch (error) {
+        console.error('Error ending sale:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid sale ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/sales/:id
+ * @desc    Delete a sale that hasn't started (started ones stay, for the price history)
+ * @access  Private/Staff (promotions:manage)
+ */
+router.delete('/:id', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const campaign = await SaleCampaign.findById(req.params.id);
+        if (!campaign) { return res.status(404).json({ message: 'Sale not found' }); }
+        if (campaign.startsAt <= new Date()) {
+            return res.status(400).json({ message: 'This sale has started, so it can only be ended, not deleted.' });
+        }
+        await campaign.deleteOne();
+        res.json({ message: 'Sale removed' });
+    } catch (error) {
+        console.error('Error deleting sale:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid sale ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const ShippingZone = require('../models/ShippingZone');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { buildQuote } = require('../utils/pricing');
+const { sendHttpError } = require('../utils/httpError');
+
+/**
+ * @route   POST /api/shipping/quote
+ * @desc    Quote shipping for a cart and address ({ orderItems, shippingAddress: { postalCode, state } })
+ * @access  Public
+ */
+router.post('/quote', async (req, res) => {
+    try {
+        const { orderItems, shippingAddress } = req.body;
+        if (!shippingAddress || !shippingAddress.postalCode) {
+            return res.status(400).json({ message: 'Please enter a PIN code.' });
+        }
+
+        const quote = await buildQuote(orderItems, { shippingAddress });
+        res.json({
+            shipping: quote.shipping,
+            ...quote.shippingDetails,
+            subtotal: quote.subtotal,
+        });
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error quoting shipping:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/shipping/zones
+ * @desc    Get all shipping zones
+ * @access  Private/Staff (shipping:manage)
+ */
+router.get('/zones', protect, requirePermission('shipping:manage'), async (req, res) => {
+    try {
+        const zones = await ShippingZone.find({}).sort({ name: 1 });
+        res.json(zones);
+    } catch (error) {
+        console.error('Error fetching shipping zones:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/shipping/zones
+ * @desc    Create a shipping zone
+ * @access  Private/Staff (shipping:manage)
+ */
+router.post('/zones', protect, requirePermission('shipping:manage'), async (req, res) => {
+    try {
+        const { name, pinPrefixes, states, isDefault, rates, freeShippingThreshold, estimatedDays, isActive } = req.body;
+        const savedZone = await ShippingZone.create({
+            name, pinPrefixes, states, isDefault, rates, freeShippingThreshold, estimatedDays, isActive,
+        });
+        res.status(201).json(savedZone);
+    } catch (error) {
+        console.error('Error creating shipping zone:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A shipping zone with that name already exists' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/shipping/zones/:id
+ * @desc    Update a shipping zone
+ * @access  Private/Staff (shipping:manage)
+ */
+router.put('/zones/:id', protect, requirePermission('shipping:manage'), async (req, res) => {
+    try {
+        const { name, pinPrefixes, states, isDefault, rates, freeShippingThreshold, estimatedDays, isActive } = req.body;
+        const updatedZone = await ShippingZone.findByIdAndUpdate(
+            req.params.id,
+            { name, pinPrefixes, states, isDefault, rates, freeShippingThreshold, estimatedDays, isActive },
+            { new: true, runValidators: true }
+        );
+        if (!updatedZone) { return res.status(404).json({ message: 'Shipping zone not found' }); }
+        res.json(updatedZone);
+    } catch (error) {
+        console.error('Error updating shipping zone:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A shipping zone with that name already exists' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/shipping/zones/:id
+ * @desc    Delete a shipping zone
+ * @access  Private/Staff (shipping:manage)
+ */
+router.delete('/zones/:id', protect, requirePermission('shipping:manage'), async (req, res) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+        if (!zone) { return res.status(404).json({ message: 'Shipping zone not found' }); }
+        await zone.deleteOne();
+        res.json({ message: 'Shipping zone removed' });
+    } catch (error) {
+        console.error('Error deleting shipping zone:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { ROLE_PERMISSIONS, STAFF_ROLES, roleOf } = require('../utils/permissions');
+const { sendEmail, layout, button, pageUrl } = require('../utils/email');
+
+// How long the "set your password" link in an invitation works
+const STAFF_INVITE_TTL_DAYS = parseInt(process.env.STAFF_INVITE_TTL_DAYS || '7', 10);
+
+const ROLE_LABELS = {
+    owner: 'Owner',
+    catalog_manager: 'Catalog manager',
+    fulfilment: 'Fulfilment',
+    support: 'Support',
+};
+
+const staffView = (user) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: roleOf(user),
+    emailVerified: user.emailVerified,
+    invitedBy: user.invitedBy,
+    createdAt: user.createdAt,
+});
+
+/**
+ * @route   GET /api/staff/roles
+ * @desc    The staff roles and what each one may do
+ * @access  Private/Staff (users:manage)
+ */
+router.get('/roles', protect, requirePermission('users:manage'), (req, res) => {
+    res.json(STAFF_ROLES.map(role => ({
+        role,
+        label: ROLE_LABELS[role],
+        permissions: ROLE_PERMISSIONS[role],
+    })));
+});
+
+/**
+ * @route   GET /api/staff
+ * @desc    Everyone with a staff role
+ * @access  Private/Staff (users:manage)
+ */
+router.get('/', protect, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const staff = await User.find({ isAdmin: true }).sort({ createdAt: 1 });
+        res.json(staff.map(staffView));
+    } catch (error) {
+        console.error('Error fetching staff:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/staff/invite
+ * @desc    Give someone a staff role by email. A new address gets an account
+ *          and a link to set its password; an existing customer is promoted.
+ * @access  Private/Staff (users:manage)
+ */
+router.post('/invite', protect, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { name, role } = req.body;
+        const email = (req.body.email || '').trim();
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required.' });
+        }
+        if (!STAFF_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${STAFF_ROLES.join(', ')}.` });
+        }
+
+        let user = await User.findOne({ email });
+        if (user && roleOf(user)) {
+            return res.status(400).json({ message: `${email} is already on the staff. Change their role instead.` });
+        }
+        if (!user) {
+            if (!name) {
+                return res.status(400).json({ message: 'Name is required to invite someone new.' });
+            }
+            // Nobody knows this password; they choose their own from the email
+            const salt = await bcrypt.genSalt(10);
+            user = new User({
+                name,
+                email,
+                password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), salt),
+                invitedBy: req.user._id,
+            });
+        }
+        user.role = role;
+
+        // Invited accounts that never set a password get a (new) link
+        const needsPassword = Boolean(user.invitedBy) && !user.emailVerified;
+        let token;
+        if (needsPassword) {
+            token = crypto.randomBytes(32).toString('hex');
+            user.resetPasswordToken = token;
+            user.resetPasswordExpires = Date.now() + STAFF_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000;
+        }
+        await user.save();
+
+        const body = needsPassword
+            ? `
+                    <h2>You're invited to Vardhan Wears</h2>
+                    <p>${req.user.name} has added you to the Vardhan Wears team as <strong>${ROLE_LABELS[role]}</strong>.</p>
+                    <p>Choose a password to get started:</p>
+                    <p>${button(pageUrl(req, 'reset-password.html', token), 'Set Your Password')}</p>
+                    <p>This link is valid for <strong>${STAFF_INVITE_TTL_DAYS} days</strong>.</p>`
+            : `
+                    <h2>Your Vardhan Wears access has changed</h2>
+                    <p>${req.user.name} has added you to the Vardhan Wears team as <strong>${ROLE_LABELS[role]}</strong>.</p>
+                    <p>Log in with your usual email and password to get started.</p>`;
+        try {
+            await sendEmail({ to: user.email, subject: 'Vardhan Wears - Staff invitation', html: layout(body) });
+        } catch (emailError) {
+            // The role is saved; inviting again sends a fresh email
+            console.error('Staff invitation email error:', emailError);
+            return res.status(502).json({ message: 'Role assigned, but the invitation email could not be sent. Try inviting again.', staff: staffView(user) });
+        }
+
+        res.status(201).json(staffView(user));
+    } catch (error) {
+        console.error('Error inviting staff:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(422).json({ message: 'Validation failed', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * Loads the staff member in `:id` for a change, refusing changes to
+ * yourself (so there is always an owner left to undo mistakes).
+ */
+const loadOtherStaff = async (req, res) => {
+    if (req.params.id === req.user.id) {
+        res.status(400).json({ message: 'You cannot change your own role.' });
+        return null;
+    }
+    const user = await User.findById(req.params.id);
+    if (!user || !roleOf(user)) {
+        res.status(404).json({ message: 'Staff member not found' });
+        return null;
+    }
+    return user;
+};
+
+/**
+ * @route   PUT /api/staff/:id/role
+ * @desc    Change a staff member's role
+ * @access  Private/Staff (users:manage)
+ */
+router.put('/:id/role', protect, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!STAFF_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${STAFF_ROLES.join(', ')}.` });
+        }
+
+        const user = await loadOtherStaff(req, res);
+        if (!user) return;
+
+        user.role = role;
+        await user.save();
+        res.json(staffView(user));
+    } catch (error) {
+        console.error('Error changing staff role:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid user ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/staff/:id
+ * @desc    Take away a staff member's role. Their account stays, as a customer.
+ * @access  Private/Staff (users:manage)
+ */
+router.delete('/:id', protect, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const user = await loadOtherStaff(req, res);
+        if (!user) return;
+
+        user.role = undefined;
+        // Admins from before roles existed have no role to clear
+        user.isAdmin = false;
+        await user.save();
+        res.json({ message: `${user.name} is no longer on the staff.` });
+    } catch (error) {
+        console.error('Error removing staff member:', error);
+        if (error.name === 'CastError') { return res.status(400).json({ message: 'Invalid user ID format' }); }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// One-off migration: admins from before staff roles existed only have
+// `isAdmin`. Make each of them an owner, as they could do everything.
+// (Until this runs they are treated as owners anyway; see utils/permissions.js.)
+//
+// Usage: npm run migrate:staff-roles
+// Safe to re-run: users who already have a role are skipped.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const result = await User.updateMany(
+        { isAdmin: true, role: { $exists: false } },
+        { $set: { role: 'owner' } }
+    );
+
+    console.log(`Gave ${result.modifiedCount} existing admin(s) the owner role.`);
+};
+
+run()
+    .catch(err => {
+        console.error('Staff role migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
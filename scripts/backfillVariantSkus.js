@@ -0,0 +1,54 @@
+// One-off migration: give every variant a SKU and every product its
+// minPrice / maxPrice, then build the catalogue-wide unique SKU index.
+// Saving each product runs the schema hook that does both.
+//
+// Usage: npm run migrate:variant-skus
+// Safe to re-run: existing SKUs are kept.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Product = require('../models/Product');
+
+dotenv.config();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    let updated = 0;
+    const failed = [];
+    for await (const product of Product.find().cursor()) {
+        try {
+            if (product.isModified() || product.variants.some(v => !v.sku) || product.minPrice === undefined) {
+                await product.save();
+                updated += 1;
+            }
+        } catch (err) {
+            failed.push(`${product._id} (${product.name}): ${err.message}`);
+        }
+    }
+
+    // Two products sharing a SKU would fail the index build, so fix those first
+    const duplicates = await Product.aggregate([
+        { $unwind: '$variants' },
+        { $match: { 'variants.sku': { $exists: true } } },
+        { $group: { _id: '$variants.sku', products: { $addToSet: '$_id' } } },
+        { $match: { 'products.1': { $exists: true } } },
+    ]);
+    duplicates.forEach(d => failed.push(`SKU ${d._id} is shared by ${d.products.join(', ')}`));
+
+    if (duplicates.length === 0) {
+        await Product.syncIndexes();
+    }
+
+    console.log(`Backfilled ${updated} product(s).`);
+    if (failed.length > 0) {
+        console.error(`Needs attention (unique SKU index ${duplicates.length ? 'not built' : 'built'}):\n  ${failed.join('\n  ')}`);
+        process.exitCode = 1;
+    }
+};
+
+run()
+    .catch(err => {
+        console.error('Variant SKU backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
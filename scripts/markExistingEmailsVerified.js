@@ -0,0 +1,29 @@
+// One-off migration: accounts created before email verification existed
+// have no `emailVerified` field. Count them as verified, so switching on
+// REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT doesn't lock existing customers out.
+//
+// Usage: npm run migrate:email-verified
+// Safe to re-run: only users without the field are touched.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const result = await User.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+    );
+
+    console.log(`Marked ${result.modifiedCount} existing user(s) as verified.`);
+};
+
+run()
+    .catch(err => {
+        console.error('Email verification migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,58 @@
+// One-off migration: turn the legacy `parentCategory` enum (Men / Women / Kids /
+// None) into a real tree. Each enum value becomes a top-level category and the
+// categories that used it become its children. Products keep their category ids.
+//
+// Usage: npm run migrate:category-tree
+// Safe to re-run: categories without `parentCategory` are left alone.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Category = require('../models/Category');
+
+dotenv.config();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    const categories = mongoose.connection.collection('categories');
+
+    // Names used to be globally unique; now they only need to be unique per parent
+    const indexes = await categories.indexes();
+    if (indexes.some(index => index.name === 'name_1')) {
+        await categories.dropIndex('name_1');
+    }
+
+    const legacy = await categories.find({ parentCategory: { $exists: true } }).toArray();
+
+    // Top-level ones first, so their paths exist before children look them up
+    const topLevel = legacy.filter(c => c.parentCategory === 'None');
+    const nested = legacy.filter(c => c.parentCategory !== 'None');
+
+    for (const doc of topLevel) {
+        const category = await Category.findById(doc._id);
+        category.parent = null;
+        await category.save();
+    }
+
+    const roots = {};
+    for (const name of [...new Set(nested.map(c => c.parentCategory))]) {
+        roots[name] = await Category.findOne({ name, parent: null })
+            || await Category.create({ name, parent: null });
+    }
+
+    for (const doc of nested) {
+        const category = await Category.findById(doc._id);
+        category.parent = roots[doc.parentCategory]._id;
+        await category.save();
+    }
+
+    await categories.updateMany({ parentCategory: { $exists: true } }, { $unset: { parentCategory: '' } });
+    await Category.syncIndexes();
+
+    console.log(`Migrated ${legacy.length} category(ies) under ${Object.keys(roots).length} top-level category(ies).`);
+};
+
+run()
+    .catch(err => {
+        console.error('Category tree migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,71 @@
+// One-off migration: turn the legacy isPaid / isDelivered / isCancelled flags
+// on existing orders into `status` + `statusHistory`.
+//
+// Usage: npm run migrate:order-status
+// Safe to re-run: orders that already have a status are skipped.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const legacyStatus = (order) => {
+    if (order.isCancelled) return 'cancelled';
+    if (order.isDelivered) return 'delivered';
+    if (order.isPaid) return 'paid';
+    return 'pending_payment';
+};
+
+const buildHistory = (order) => {
+    const note = 'Migrated from legacy order flags';
+    const history = [{ status: 'pending_payment', note, changedAt: order.createdAt }];
+
+    if (order.isPaid) {
+        history.push({ status: 'paid', from: 'pending_payment', note, changedAt: order.paidAt || order.updatedAt });
+    }
+    if (order.isDelivered) {
+        const from = history[history.length - 1].status;
+        history.push({ status: 'delivered', from, note, changedAt: order.deliveredAt || order.updatedAt });
+    }
+    if (order.isCancelled) {
+        const from = history[history.length - 1].status;
+        history.push({ status: 'cancelled', from, note, changedAt: order.updatedAt });
+    }
+    return history;
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    const orders = mongoose.connection.collection('orders');
+
+    const cursor = orders.find({ status: { $exists: false } });
+    let migrated = 0;
+
+    for await (const order of cursor) {
+        const $set = {
+            status: legacyStatus(order),
+            statusHistory: buildHistory(order),
+        };
+        if (order.isCancelled) {
+            $set.cancelledAt = order.updatedAt;
+        }
+        // Paid, live orders had their stock taken at payment time
+        if (order.isPaid && !order.isCancelled) {
+            $set.stockCommittedAt = order.paidAt || order.updatedAt;
+        }
+
+        await orders.updateOne(
+            { _id: order._id },
+            { $set, $unset: { isPaid: '', isDelivered: '', isCancelled: '' } }
+        );
+        migrated += 1;
+    }
+
+    console.log(`Migrated ${migrated} order(s).`);
+};
+
+run()
+    .catch(err => {
+        console.error('Order status migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// One-off migration: accounts made by phone have no email, so the unique
+// email index becomes sparse (and a sparse unique phone index is added).
+// syncIndexes drops the old email index and builds the new ones.
+//
+// Usage: npm run migrate:user-indexes
+// Safe to re-run: indexes that already match are left alone.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const dropped = await User.syncIndexes();
+    console.log(`User indexes in sync${dropped.length ? ` (rebuilt: ${dropped.join(', ')})` : ''}.`);
+};
+
+run()
+    .catch(err => {
+        console.error('User index migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -15,6 +15,21 @@ require('./models/Category');
 require('./models/Product');
 require('./models/Order');
 require('./models/Cart');
+require('./models/WebhookEvent');
+require('./models/Return');
+require('./models/StockReservation');
+require('./models/Coupon');
+require('./models/CouponRedemption');
+require('./models/Counter');
+require('./models/Invoice');
+require('./models/ShippingZone');
+require('./models/Review');
+require('./models/SaleCampaign');
+require('./models/PriceHistory');
+require('./models/InventoryMovement');
+require('./models/RefreshToken');
+require('./models/RateLimitCounter');
+require('./models/OtpCode');
 
 // --- ROUTE IMPORTS ---
 const productRoutes = require('./routes/productRoutes');
@@ -22,6 +37,16 @@ const authRoutes = require('./routes/authRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
 const orderRoutes = require('./routes/orderRoutes'); 
 const cartRoutes = require('./routes/cartRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const saleRoutes = require('./routes/saleRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const staffRoutes = require('./routes/staffRoutes');
+const { startReservationSweeper } = require('./utils/reservations');
+const { getStorage } = require('./utils/storage');
 
 // Initialize the Express app
 const app = express();
@@ -56,9 +81,25 @@ const corsOptions = {
     optionsSuccessStatus: 200
 };
 
+// Behind a proxy or load balancer, req.ip (used by the rate limits) is the
+// proxy's address unless Express is told to trust X-Forwarded-For.
+// TRUST_PROXY takes a hop count (e.g. 1) or any value Express accepts.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // --- GLOBAL MIDDLEWARE ---
 app.use(cors(corsOptions)); // Apply CORS policy
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({
+    // Keep the raw bytes around: Razorpay webhooks are signed over the exact body
+    verify: (req, res, buf) => { req.rawBody = buf; }
+})); // Parse JSON bodies
+
+// Uploaded images stored on local disk (utils/storage/localStorage.js).
+// File names are unique per upload, so they can be cached for good.
+const uploadStorage = getStorage('local');
+app.use(uploadStorage.mountPath, express.static(uploadStorage.directory, { maxAge: '365d', immutable: true }));
 
 // --- API ROUTES ---
 app.use('/api/products', productRoutes);
@@ -66,6 +107,14 @@ app.use('/api/auth', authRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/sales', saleRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/staff', staffRoutes);
 
 // --- START SERVER ---
 // Connect to MongoDB *first*, then start the server.
@@ -76,6 +125,9 @@ mongoose.connect(process.env.MONGO_URI, {
 })
 .then(() => {
     console.log('MongoDB connected successfully!');
+
+    // Release stock holds from unpaid orders once their TTL runs out
+    startReservationSweeper();
     
     // Start the server ONLY after the DB connection is successful
     app.listen(PORT, () => {
@@ -0,0 +1,84 @@
+const User = require('../models/User');
+const { sendEmail, layout } = require('./email');
+const { describeWait } = require('./rateLimit');
+
+// Failed logins in a row that lock an account
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+// The first lock lasts this long; each lock after it (without a successful
+// login in between) twice as long as the one before, up to the cap
+const LOGIN_LOCK_MINUTES = parseFloat(process.env.LOGIN_LOCK_MINUTES || '15');
+const LOGIN_LOCK_MAX_MINUTES = parseFloat(process.env.LOGIN_LOCK_MAX_MINUTES || String(24 * 60));
+
+/**
+ * Seconds until a locked account may log in again (0 when it isn't locked).
+ *
+ * @param {object} user
+ * @returns {number}
+ */
+const lockRemaining = (user) => {
+    if (!user.lockUntil) return 0;
+    return Math.max(Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+const sendLockoutEmail = async (user, lockMinutes, req) => {
+    await sendEmail({
+        to: user.email,
+        subject: 'Vardhan Wears - Your account has been locked',
+        html: layout(`
+                    <h2>Too many failed login attempts</h2>
+                    <p>Someone tried to log in to your Vardhan Wears account with the wrong password ${LOGIN_MAX_FAILURES} times in a row (from IP address ${req.ip}).</p>
+                    <p>To keep your account safe we have locked it for <strong>${describeWait(Math.round(lockMinutes * 60))}</strong>.</p>
+                    <p>If this was you, you can try again after that, or reset your password to get back in straight away.</p>
+                    <p>If it wasn't you, we recommend resetting your password.</p>`),
+    });
+};
+
+/**
+ * Counts a failed login. The failure that reaches LOGIN_MAX_FAILURES locks
+ * the account and emails its owner.
+ *
+ * @param {object} user
+ * @param {import('express').Request} req
+ * @returns {Promise<number>} Seconds the account is now locked for (0 if it wasn't locked)
+ */
+const recordFailedLogin = async (user, req) => {
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    ).select('email name failedLoginAttempts loginLockouts');
+    if (!updated || updated.failedLoginAttempts < LOGIN_MAX_FAILURES) return 0;
+
+    const lockMinutes = Math.min(LOGIN_LOCK_MINUTES * 2 ** (updated.loginLockouts || 0), LOGIN_LOCK_MAX_MINUTES);
+    // Only the request that reaches the limit locks, even if several race
+    const locked = await User.findOneAndUpdate(
+        { _id: user._id, failedLoginAttempts: { $gte: LOGIN_MAX_FAILURES } },
+        {
+            $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) },
+            $inc: { loginLockouts: 1 },
+        }
+    );
+    if (!locked) return 0;
+
+    try {
+        await sendLockoutEmail(updated, lockMinutes, req);
+    } catch (error) {
+        console.error('Lockout email error:', error);
+    }
+    return Math.round(lockMinutes * 60);
+};
+
+/**
+ * Forgets past failures and locks, after a successful login or password reset.
+ *
+ * @param {object} user
+ */
+const clearFailedLogins = async (user) => {
+    if (!user.failedLoginAttempts && !user.loginLockouts && !user.lockUntil) return;
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0, loginLockouts: 0 }, $unset: { lockUntil: 1 } }
+    );
+};
+
+module.exports = { lockRemaining, recordFailedLogin, clearFailedLogins };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { HttpError } = require('./httpError');
+
+// Access tokens are short-lived JWTs checked by `protect`; refresh tokens
+// are opaque, stored hashed, and swapped for a new pair at /api/auth/refresh.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Signs an access token. `tv` is the user's tokenVersion: bumping it
+ * (see `revokeSessions`) makes every access token issued before invalid.
+ *
+ * @param {{_id: object, tokenVersion?: number}} user
+ * @returns {string}
+ */
+const issueAccessToken = (user) => jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Stores a new refresh token and returns it with its database record
+const createRefreshToken = async (user, family, req) => {
+    const token = crypto.randomBytes(48).toString('hex');
+    const record = await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        userAgent: req && req.get ? req.get('user-agent') : undefined,
+        ip: req ? req.ip : undefined,
+    });
+    return { token, record };
+};
+
+/**
+ * Starts a new session (login, register): an access token plus the first
+ * refresh token of a new family.
+ *
+ * @param {object} user
+ * @param {import('express').Request} [req] For the device details stored with the token
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+const issueSession = async (user, req) => {
+    const { token } = await createRefreshToken(user, crypto.randomUUID(), req);
+    return { token: issueAccessToken(user), refreshToken: token };
+};
+
+/**
+ * Swaps a refresh token for a new access + refresh token pair. The old
+ * refresh token is revoked; if it is ever presented again (it was copied),
+ * every token in its family is revoked and the user has to log in again.
+ *
+ * @param {string} refreshToken
+ * @param {import('express').Request} [req]
+ * @returns {Promise<{user: object, token: string, refreshToken: string}>}
+ * @throws {HttpError} 401 for an unknown, expired, revoked or reused token
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+    if (!refreshToken) throw new HttpError(400, 'Refresh token is required.');
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Claiming the token and revoking it is one update, so two concurrent
+    // refreshes with the same token can't both succeed
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+        { revokedAt: now, revokeReason: 'rotated' },
+        { new: true }
+    );
+
+    if (!current) {
+        const known = await RefreshToken.findOne({ tokenHash });
+        if (known && known.revokeReason === 'rotated') {
+            await RefreshToken.updateMany(
+                { family: known.family, revokedAt: { $exists: false } },
+                { revokedAt: now, revokeReason: 'reuse_detected' }
+            );
+            console.warn(`Refresh token reuse detected for user ${known.user}; family ${known.family} revoked.`);
+        }
+        throw new HttpError(401, 'Session expired, please log in again.');
+    }
+
+    const user = await User.findById(current.user).select('-password');
+    if (!user) throw new HttpError(401, 'Session expired, please log in again.');
+
+    const { token, record } = await createRefreshToken(user, current.family, req);
+    current.replacedBy = record._id;
+    await current.save();
+
+    return { user, token: issueAccessToken(user), refreshToken: token };
+};
+
+/**
+ * Revokes one refresh token (logout on this device). Unknown or already
+ * revoked tokens are ignored.
+ *
+ * @param {string} refreshToken
+ */
+const revokeRefreshToken = async (refreshToken) => {
+    if (!refreshToken) return;
+    await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokeReason: 'logout' }
+    );
+};
+
+/**
+ * Ends every session of a user: all refresh tokens are revoked and the
+ * tokenVersion bump invalidates access tokens already handed out.
+ *
+ * @param {string|object} userId
+ * @param {string} reason Stored as the tokens' revokeReason
+ * @returns {Promise<object|null>} The user with its new tokenVersion
+ */
+const revokeSessions = async (userId, reason) => {
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $inc: { tokenVersion: 1 } },
+        { new: true }
+    ).select('-password');
+    await RefreshToken.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokeReason: reason }
+    );
+    return user;
+};
+
+module.exports = {
+    issueAccessToken,
+    issueSession,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeSessions,
+};
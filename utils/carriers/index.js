@@ -0,0 +1,38 @@
+// Carrier adapters. Each adapter exports:
+//
+//   name                          Identifier stored on Order.shipment.carrier
+//   createShipment(order)         -> { awbNumber, trackingUrl?, expectedDeliveryDate? }
+//   getTracking(awbNumber)        -> { status, expectedDeliveryDate?, codCollected?, events: [{ status, description, location, occurredAt }] }
+//
+// `codCollected` is true once the courier confirms it took the cash for a COD parcel.
+// Tracking `status` is one of: manifested, picked_up, in_transit,
+// out_for_delivery, delivered, returned_to_origin.
+// To add a real courier, write an adapter next to mockCarrier.js and register it below.
+const mockCarrier = require('./mockCarrier');
+
+const carriers = {
+    [mockCarrier.name]: mockCarrier,
+};
+
+const DEFAULT_CARRIER = process.env.SHIPPING_CARRIER || mockCarrier.name;
+
+/**
+ * Returns the adapter for a carrier name (or the configured default).
+ */
+const getCarrier = (name = DEFAULT_CARRIER) => {
+    const carrier = carriers[name];
+    if (!carrier) {
+        throw new Error(`Unknown shipping carrier: ${name}`);
+    }
+    return carrier;
+};
+
+// How carrier tracking statuses move our order status along.
+const ORDER_STATUS_FOR_TRACKING = {
+    picked_up: 'shipped',
+    in_transit: 'shipped',
+    out_for_delivery: 'out_for_delivery',
+    delivered: 'delivered',
+};
+
+module.exports = { getCarrier, ORDER_STATUS_FOR_TRACKING };
@@ -0,0 +1,55 @@
+// A pretend courier for development and testing. It keeps no state: the
+// AWB number encodes when the shipment was booked, and tracking simply
+// replays a fixed journey at MOCK_CARRIER_STEP_MINUTES per step.
+const STEP_MINUTES = parseFloat(process.env.MOCK_CARRIER_STEP_MINUTES || String(24 * 60));
+
+const JOURNEY = [
+    { status: 'manifested', description: 'Shipment booked with Mock Express', location: 'Origin hub' },
+    { status: 'picked_up', description: 'Picked up from seller', location: 'Origin hub' },
+    { status: 'in_transit', description: 'In transit to destination city', location: 'Regional sort centre' },
+    { status: 'out_for_delivery', description: 'Out for delivery', location: 'Destination branch' },
+    { status: 'delivered', description: 'Delivered', location: 'Customer address' },
+];
+
+const bookedAtFromAwb = (awbNumber) => {
+    const match = /^MOCK(\d{13})\d{3}$/.exec(awbNumber || '');
+    return match ? Number(match[1]) : null;
+};
+
+const expectedDeliveryFor = (bookedAt) => new Date(bookedAt + (JOURNEY.length - 1) * STEP_MINUTES * 60 * 1000);
+
+module.exports = {
+    name: 'mock',
+
+    async createShipment(order) {
+        const bookedAt = Date.now();
+        const awbNumber = `MOCK${bookedAt}${String(Math.floor(Math.random() * 1000)).padStart(3, '0')}`;
+        return {
+            awbNumber,
+            trackingUrl: null,
+            expectedDeliveryDate: expectedDeliveryFor(bookedAt),
+        };
+    },
+
+    async getTracking(awbNumber) {
+        const bookedAt = bookedAtFromAwb(awbNumber);
+        if (!bookedAt) {
+            throw new Error(`Unknown mock AWB number: ${awbNumber}`);
+        }
+
+        const stepsDone = Math.floor((Date.now() - bookedAt) / (STEP_MINUTES * 60 * 1000));
+        const reached = JOURNEY.slice(0, Math.min(JOURNEY.length, stepsDone + 1));
+        const status = reached[reached.length - 1].status;
+
+        return {
+            status,
+            // The mock courier always collects the cash on delivery
+            codCollected: status === 'delivered',
+            expectedDeliveryDate: expectedDeliveryFor(bookedAt),
+            events: reached.map((step, index) => ({
+                ...step,
+                occurredAt: new Date(bookedAt + index * STEP_MINUTES * 60 * 1000),
+            })),
+        };
+    },
+};
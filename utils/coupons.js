@@ -0,0 +1,104 @@
+const Category = require('../models/Category');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { HttpError } = require('./httpError');
+const { roundMoney } = require('./money');
+
+/**
+ * Checks a coupon code against a priced cart and works out the discount.
+ *
+ * @param {string} code What the customer typed
+ * @param {{lines: Array<{product: object, lineTotal: number}>, productMap: Map<string, object>, subtotal: number, userId?: string}} cart
+ *        `productMap` maps product ID -> Product (with `category`). Without a
+ *        `userId` (public quotes) the per-user limit is not checked.
+ * @returns {Promise<{coupon: object, discount: number, eligibleLines: Set<string>}>}
+ *          `eligibleLines` holds the product IDs the discount applies to
+ * @throws {HttpError} 400/404 explaining why the coupon can't be used
+ */
+const evaluateCoupon = async (code, { lines, productMap, subtotal, userId }) => {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (!coupon || !coupon.isActive) {
+        throw new HttpError(404, 'This coupon code is not valid.');
+    }
+
+    const now = new Date();
+    if (coupon.startsAt && coupon.startsAt > now) {
+        throw new HttpError(400, 'This coupon is not active yet.');
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+        throw new HttpError(400, 'This coupon has expired.');
+    }
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        throw new HttpError(400, 'This coupon has been fully redeemed.');
+    }
+    if (subtotal < coupon.minCartValue) {
+        throw new HttpError(400, `Add items worth ₹${roundMoney(coupon.minCartValue - subtotal)} more to use this coupon.`);
+    }
+
+    if (userId) {
+        const timesUsed = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+        if (timesUsed >= coupon.perUserLimit) {
+            throw new HttpError(400, 'You have already used this coupon.');
+        }
+    }
+
+    // A category covers everything under it, as it does for sale campaigns
+    const categories = coupon.categories.length
+        ? await Category.find({ _id: { $in: coupon.categories } }).select('path')
+        : [];
+    const scopedProducts = new Set(coupon.products.map(String));
+    const scopedCategories = new Set((await Category.subtreeIds(categories)).map(String));
+    const isScoped = scopedProducts.size > 0 || coupon.categories.length > 0;
+
+    const eligibleLines = new Set();
+    lines.forEach(line => {
+        const productId = String(line.product);
+        const product = productMap.get(productId);
+        // `category` may be populated
+        const category = product && (product.category && product.category._id ? product.category._id : product.category);
+        if (!isScoped
+            || scopedProducts.has(productId)
+            || (category && scopedCategories.has(String(category)))) {
+            eligibleLines.add(productId);
+        }
+    });
+
+    if (eligibleLines.size === 0) {
+        throw new HttpError(400, 'This coupon does not apply to any item in your cart.');
+    }
+
+    const eligibleSubtotal = lines
+        .filter(line => eligibleLines.has(String(line.product)))
+        .reduce((sum, line) => sum + line.lineTotal, 0);
+
+    let discount = coupon.type === 'percentage'
+        ? eligibleSubtotal * coupon.value / 100
+        : coupon.value;
+    if (coupon.type === 'percentage' && coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+    discount = roundMoney(Math.min(discount, eligibleSubtotal));
+
+    return { coupon, discount, eligibleLines };
+};
+
+/**
+ * Counts a paid order's coupon use. Called from markOrderPaid inside its
+ * transaction; the unique index on `order` makes a second call a no-op.
+ */
+const redeemCoupon = async (order, { session } = {}) => {
+    if (!order.coupon || !order.coupon.coupon) return;
+
+    const existing = await CouponRedemption.findOne({ order: order._id }).session(session || null);
+    if (existing) return;
+
+    await CouponRedemption.create([{
+        coupon: order.coupon.coupon,
+        user: order.user,
+        order: order._id,
+        discount: order.coupon.discount,
+    }], { session });
+    await Coupon.updateOne({ _id: order.coupon.coupon }, { $inc: { usedCount: 1 } }, { session });
+};
+
+module.exports = { evaluateCoupon, redeemCoupon };
@@ -0,0 +1,49 @@
+const sgMail = require('@sendgrid/mail'); // SendGrid package
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// It reads SENDGRID_API_KEY from your .env file
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+/**
+ * Sends one HTML email from FROM_EMAIL (a verified SendGrid sender).
+ * SendGrid's error details are logged before the error is rethrown.
+ *
+ * @param {{to: string, subject: string, html: string}} message
+ */
+const sendEmail = async ({ to, subject, html }) => {
+    try {
+        await sgMail.send({ to, from: process.env.FROM_EMAIL, subject, html });
+    } catch (error) {
+        if (error.response) {
+            console.error(error.response.body);
+        }
+        throw error;
+    }
+};
+
+// Wraps a message body in the layout every store email uses
+const layout = (body) => `
+                <div style="font-family: Arial, sans-serif; line-height: 1.6;">
+                    ${body}
+                    <br>
+                    <p>Thank you,</p>
+                    <p>The Vardhan Wears Team</p>
+                </div>
+            `;
+
+// A link styled like the store's buttons
+const button = (url, label) => `<a href="${url}" style="color: #db2777; font-weight: bold; text-decoration: none;">${label}</a>`;
+
+/**
+ * The frontend URL for a page, built from the request's own host (the
+ * frontend is served from the same origin).
+ *
+ * @param {import('express').Request} req
+ * @param {string} page e.g. 'reset-password.html'
+ * @param {string} token
+ */
+const pageUrl = (req, page, token) => `${req.protocol}://${req.get('host')}/${page}?token=${token}`;
+
+module.exports = { sendEmail, layout, button, pageUrl };
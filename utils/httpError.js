@@ -0,0 +1,29 @@
+/**
+ * An Error that carries the HTTP status (and optional extra JSON fields)
+ * a route should answer with. Helpers in utils/ throw these so the route
+ * handlers can keep their usual `res.status(...).json(...)` shape.
+ */
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Sends an HttpError as a JSON response (with a Retry-After header when its
+ * details carry `retryAfter`). Returns false for any other error
+ * so the caller can fall through to its generic 500 handler.
+ */
+const sendHttpError = (res, error) => {
+    if (!(error instanceof HttpError)) return false;
+    if (error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+    }
+    res.status(error.status).json({ message: error.message, ...error.details });
+    return true;
+};
+
+module.exports = { HttpError, sendHttpError };
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { HttpError } = require('./httpError');
+
+// Widths (px) generated for each kind of upload. Avatars are cropped square.
+const IMAGE_PRESETS = {
+    product: { thumbnail: 200, card: 600, zoom: 1600 },
+    avatar: { thumbnail: 96, card: 320 },
+};
+
+// Checked against the decoded file, not the client's Content-Type
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+// Refuse decompression bombs before sharp allocates for them
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Resizes an uploaded image into every size of a preset, as WebP plus a JPEG
+ * fallback, and stores the files.
+ *
+ * @param {Buffer} buffer The uploaded file
+ * @param {{prefix: string, preset: 'product'|'avatar'}} options `prefix` is the storage folder, e.g. 'products/<id>'
+ * @returns {Promise<{url: string, storage: string, files: Array<string>, variants: object, width: number, height: number}>}
+ *          `url` is the card-size JPEG, which every browser can show; `variants`
+ *          maps each size to `{ webp, fallback }` URLs.
+ * @throws {HttpError} 400 if the file isn't a JPEG, PNG or WebP image
+ */
+const storeImage = async (buffer, { prefix, preset }) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+        throw new HttpError(400, 'That file is not a valid image.');
+    }
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw new HttpError(400, 'Only JPEG, PNG or WebP images are allowed.');
+    }
+
+    const storage = getStorage();
+    const id = crypto.randomUUID();
+    const square = preset === 'avatar';
+
+    const variants = {};
+    const files = [];
+    for (const [size, width] of Object.entries(IMAGE_PRESETS[preset])) {
+        // rotate() applies the EXIF orientation phones write instead of rotating pixels
+        const resized = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+            .rotate()
+            .resize({ width, height: square ? width : undefined, fit: square ? 'cover' : 'inside', withoutEnlargement: true });
+
+        const webp = await resized.clone().webp({ quality: 80 }).toBuffer();
+        const jpeg = await resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+
+        const base = `${prefix}/${id}-${size}`;
+        variants[size] = {
+            webp: await storage.save(`${base}.webp`, webp, 'image/webp'),
+            fallback: await storage.save(`${base}.jpg`, jpeg, 'image/jpeg'),
+        };
+        files.push(`${base}.webp`, `${base}.jpg`);
+    }
+
+    return {
+        url: variants.card.fallback,
+        storage: storage.name,
+        files,
+        variants,
+        width: metadata.width,
+        height: metadata.height,
+    };
+};
+
+/**
+ * Deletes the stored files of images that are no longer used. Best-effort:
+ * a failure is logged, never thrown, so it can't undo the change that
+ * orphaned the files.
+ *
+ * @param {Array<{storage: string, files: Array<string>}>} images Records from `storeImage`
+ */
+const removeStoredImages = async (images) => {
+    for (const image of images) {
+        try {
+            const storage = getStorage(image.storage);
+            await Promise.all(image.files.map(key => storage.remove(key)));
+        } catch (error) {
+            console.error(`Error removing stored image ${image.url}:`, error);
+        }
+    }
+};
+
+module.exports = { storeImage, removeStoredImages };
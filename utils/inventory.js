@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const { HttpError } = require('./httpError');
+const { findVariant, variantMatch } = require('./variants');
+
+// Reasons an admin can give for a manual adjustment. The others are written
+// by the code paths they describe.
+const MANUAL_REASONS = ['adjustment', 'damage', 'restock'];
+
+// A ledger entry for a stock update that has just been applied to `product`
+// (fetched *after* the update, so the variant holds the resulting stock)
+const movementFor = (product, variant, delta, { reason, order, returnRequest, user, note }) => ({
+    product: product._id,
+    variant: variant._id,
+    sku: variant.sku,
+    delta,
+    quantityAfter: variant.stock,
+    reason,
+    order,
+    returnRequest,
+    user,
+    note,
+});
+
+/**
+ * Applies one `$inc` to a line's variant and returns the ledger entry for it,
+ * or null when the guarded update matched nothing. The variant is matched by
+ * `_id` (or size + colorName for lines saved before variant ids were).
+ */
+const moveLine = async (item, delta, { guard = false, session, ...context }) => {
+    const conditions = variantMatch(item);
+    if (guard) conditions.stock = { $gte: -delta };
+
+    const product = await Product.findOneAndUpdate(
+        { _id: item.product, variants: { $elemMatch: conditions } },
+        // Stock moves one way and the product's salesCount the other
+        { $inc: { 'variants.$.stock': delta, salesCount: -delta } },
+        { new: true, session }
+    ).select('variants');
+    if (!product) return null;
+
+    return movementFor(product, findVariant(product, item), delta, context);
+};
+
+/**
+ * Takes sold quantities out of stock, one guarded update per line.
+ * A line only decrements if the variant still has `stock >= quantity`, so
+ * stock can never go negative. Run it inside a transaction (pass `session`)
+ * and abort if anything comes back short, so a partial decrement never sticks.
+ * Each line is written to the inventory ledger as a `sale`.
+ *
+ * @param {Array<{product: string, variant?: string, size: string, colorName: string, quantity: number}>} items
+ * @param {{session?: import('mongoose').ClientSession, order?: string, user?: string}} [options]
+ * @returns {Promise<Array>} The lines that could not be fulfilled (empty on success)
+ */
+const decrementStock = async (items, { session, order, user } = {}) => {
+    const shortLines = [];
+    const movements = [];
+
+    for (const item of items) {
+        const movement = await moveLine(item, -item.quantity, { guard: true, session, reason: 'sale', order, user });
+        if (movement) {
+            movements.push(movement);
+        } else {
+            shortLines.push(item);
+        }
+    }
+
+    if (movements.length > 0) {
+        await InventoryMovement.insertMany(movements, { session });
+    }
+    return shortLines;
+};
+
+/**
+ * Puts quantities back into stock (cancelled or deleted orders, received
+ * returns) and records why. Runs in its own transaction unless given a session.
+ *
+ * @param {Array<{product: string, variant?: string, size: string, colorName: string, quantity: number}>} items
+ * @param {{reason: string, order?: string, returnRequest?: string, user?: string, note?: string, session?: import('mongoose').ClientSession}} context
+ */
+const restockItems = async (items, { session, ...context }) => {
+    if (items.length === 0) return;
+
+    const restock = async (activeSession) => {
+        const movements = [];
+        for (const item of items) {
+            const movement = await moveLine(item, item.quantity, { session: activeSession, ...context });
+            // A variant deleted since the sale has nowhere to go back to
+            if (movement) movements.push(movement);
+        }
+        await InventoryMovement.insertMany(movements, { session: activeSession });
+    };
+
+    if (session) {
+        await restock(session);
+    } else {
+        await mongoose.connection.transaction(restock);
+    }
+};
+
+/**
+ * A manual stock change by an admin: either `delta` units in/out, or a
+ * counted `quantity` the stock is set to.
+ *
+ * @param {{product: object, variant: object}} target From utils/variants.js `loadVariant`
+ * @param {{delta?: number, quantity?: number, reason: string, user: string, note?: string}} change
+ * @returns {Promise<object>} The ledger entry
+ * @throws {HttpError} 400 for bad input or stock that would go negative, 409 if the stock moved mid-count
+ */
+const adjustStock = async ({ product, variant }, { delta, quantity, reason, user, note }) => {
+    if (!MANUAL_REASONS.includes(reason)) {
+        throw new HttpError(400, `Reason must be one of: ${MANUAL_REASONS.join(', ')}.`);
+    }
+    const hasDelta = delta !== undefined && delta !== null;
+    const hasQuantity = quantity !== undefined && quantity !== null;
+    if (hasDelta === hasQuantity) {
+        throw new HttpError(400, 'Send either delta (units in or out) or quantity (the counted stock).');
+    }
+    const amount = Number(hasDelta ? delta : quantity);
+    if (!Number.isInteger(amount) || (hasQuantity && amount < 0) || (hasDelta && amount === 0)) {
+        throw new HttpError(400, hasDelta ? 'delta must be a whole number other than 0.' : 'quantity must be a whole number of 0 or more.');
+    }
+
+    let movement = null;
+    await mongoose.connection.transaction(async (session) => {
+        // A count only applies to the stock it was counted against
+        const conditions = { _id: variant._id };
+        if (hasQuantity) conditions.stock = variant.stock;
+        else if (amount < 0) conditions.stock = { $gte: -amount };
+
+        const change = hasQuantity ? amount - variant.stock : amount;
+        const updated = await Product.findOneAndUpdate(
+            { _id: product._id, variants: { $elemMatch: conditions } },
+            { $inc: { 'variants.$.stock': change } },
+            { new: true, session }
+        ).select('variants');
+
+        if (!updated) {
+            if (hasQuantity) throw new HttpError(409, 'The stock changed while you were counting. Please reload and try again.');
+            throw new HttpError(400, `Only ${variant.stock} in stock, so ${-amount} can't be taken out.`);
+        }
+
+        movement = movementFor(updated, updated.variants.id(variant._id), change, { reason, user, note });
+        [movement] = await InventoryMovement.create([movement], { session });
+    });
+    return movement;
+};
+
+module.exports = { decrementStock, restockItems, adjustStock, MANUAL_REASONS };
@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { roundMoney } = require('./money');
+
+// Our registration details, printed on every invoice.
+const SELLER = {
+    name: process.env.INVOICE_SELLER_NAME || 'Vardhan Wears',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    state: process.env.GST_REGISTERED_STATE || '',
+    gstin: process.env.GSTIN || '',
+};
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'VW';
+// Used for products that don't have their own HSN code yet.
+const DEFAULT_HSN_CODE = process.env.DEFAULT_HSN_CODE || '6211';
+
+// India runs on IST, so a payment at 11pm on 31 March belongs to the old year.
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * The Indian financial year (April-March) a date falls in, e.g. '2025-26'.
+ */
+const financialYearOf = (date) => {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const normaliseState = (state) => String(state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Intra-state supplies are taxed CGST + SGST, inter-state supplies IGST.
+ * Orders placed before we collected the state are treated as intra-state.
+ */
+const supplyTypeFor = (shippingAddress) => {
+    const buyerState = normaliseState(shippingAddress && shippingAddress.state);
+    if (!buyerState || !SELLER.state) return 'intra_state';
+    return buyerState === normaliseState(SELLER.state) ? 'intra_state' : 'inter_state';
+};
+
+/**
+ * Works out the GST lines and totals for an order from what was charged.
+ */
+const buildInvoiceData = async (order) => {
+    const productIds = order.orderItems.map(item => item.product);
+    const products = await Product.find({ _id: { $in: productIds } }).select('hsnCode');
+    const hsnMap = new Map(products.map(p => [p._id.toString(), p.hsnCode]));
+
+    const supplyType = supplyTypeFor(order.shippingAddress);
+
+    const lines = order.orderItems.map(item => {
+        const discount = item.discount || 0;
+        const taxableValue = roundMoney(item.price * item.quantity - discount);
+        const tax = item.tax || 0;
+        const taxRate = item.taxRate !== undefined
+            ? item.taxRate
+            : (taxableValue > 0 ? Math.round(tax / taxableValue * 10000) / 10000 : 0);
+
+        const line = {
+            description: `${item.name} (${item.size}, ${item.colorName})`,
+            hsnCode: hsnMap.get(item.product.toString()) || DEFAULT_HSN_CODE,
+            quantity: item.quantity,
+            unitPrice: item.price,
+            discount,
+            taxableValue,
+            taxRate,
+            cgst: 0,
+            sgst: 0,
+            igst: 0,
+            total: roundMoney(taxableValue + tax),
+        };
+
+        if (supplyType === 'intra_state') {
+            line.cgst = roundMoney(tax / 2);
+            line.sgst = roundMoney(tax - line.cgst);
+        } else {
+            line.igst = tax;
+        }
+        return line;
+    });
+
+    const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+    const shipping = (order.pricing && order.pricing.shipping) || 0;
+    const codFee = (order.pricing && order.pricing.codFee) || 0;
+
+    const { shippingAddress } = order;
+    return {
+        seller: SELLER,
+        buyer: {
+            name: shippingAddress.fullName,
+            address: [shippingAddress.address, shippingAddress.city, shippingAddress.postalCode, shippingAddress.country]
+                .filter(Boolean)
+                .join(', '),
+            state: shippingAddress.state,
+            gstin: order.billingGstin,
+        },
+        supplyType,
+        lines,
+        totals: {
+            taxableValue: sum('taxableValue'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            shipping,
+            codFee,
+            grandTotal: roundMoney(sum('total') + shipping + codFee),
+        },
+    };
+};
+
+/**
+ * Issues the invoice for a paid order, or returns the one it already has.
+ * Numbers are sequential per financial year, never reused and never skipped:
+ * a number is only taken in the same transaction that creates the invoice,
+ * so a caller that loses the race for an order's invoice gives its number back.
+ *
+ * @param {string|object} orderOrId An Order document or its ID
+ * @returns {Promise<object|null>} null if the order isn't paid
+ */
+const issueInvoice = async (orderOrId) => {
+    const order = orderOrId instanceof Order ? orderOrId : await Order.findById(orderOrId);
+    if (!order || !order.paidAt) return null;
+
+    const existing = await Invoice.findOne({ order: order._id });
+    if (existing) return existing;
+
+    const data = await buildInvoiceData(order);
+    const financialYear = financialYearOf(order.paidAt);
+
+    try {
+        let invoice = null;
+        await mongoose.connection.transaction(async (session) => {
+            // Checked again in here: a retried transaction may find the winner's invoice
+            invoice = await Invoice.findOne({ order: order._id }).session(session);
+            if (invoice) return;
+
+            const sequence = await Counter.next(`invoice-${financialYear}`, { session });
+            [invoice] = await Invoice.create([{
+                ...data,
+                invoiceNumber: `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(6, '0')}`,
+                financialYear,
+                order: order._id,
+                user: order.user,
+                issuedAt: order.paidAt,
+            }], { session });
+        });
+        return invoice;
+    } catch (error) {
+        // Two callers raced to issue the same invoice; the other one won.
+        if (error.code === 11000) {
+            return Invoice.findOne({ order: order._id });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Rebuilds an invoice from the current order and product data, keeping its number.
+ */
+const regenerateInvoice = async (orderId) => {
+    const order = await Order.findById(orderId);
+    if (!order || !order.paidAt) return null;
+
+    const invoice = await Invoice.findOne({ order: order._id });
+    if (!invoice) return issueInvoice(order);
+
+    invoice.set(await buildInvoiceData(order));
+    invoice.version += 1;
+    invoice.regeneratedAt = Date.now();
+    return invoice.save();
+};
+
+const formatMoney = (amount) => `Rs. ${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Streams an invoice as an A4 PDF.
+ * @param {object} invoice Invoice document
+ * @param {import('stream').Writable} stream e.g. the Express response
+ */
+const renderInvoicePdf = (invoice, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    doc.pipe(stream);
+
+    const isIntraState = invoice.supplyType === 'intra_state';
+
+    // Header
+    doc.fontSize(18).font('Helvetica-Bold').text('TAX INVOICE', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(10).font('Helvetica')
+        .text(`Invoice No: ${invoice.invoiceNumber}`)
+        .text(`Invoice Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`)
+        .text(`Order ID: ${invoice.order}`);
+    if (invoice.version > 1) {
+        doc.text(`Revision: ${invoice.version}`);
+    }
+    doc.moveDown();
+
+    // Parties
+    const partiesTop = doc.y;
+    doc.font('Helvetica-Bold').text('Sold by', 40, partiesTop);
+    doc.font('Helvetica')
+        .text(invoice.seller.name)
+        .text(invoice.seller.address || '')
+        .text(`State: ${invoice.seller.state || '-'}`)
+        .text(`GSTIN: ${invoice.seller.gstin || '-'}`);
+    const sellerBottom = doc.y;
+
+    doc.font('Helvetica-Bold').text('Billed / Shipped to', 300, partiesTop);
+    doc.font('Helvetica')
+        .text(invoice.buyer.name, 300)
+        .text(invoice.buyer.address || '', 300)
+        .text(`State: ${invoice.buyer.state || '-'}`, 300);
+    if (invoice.buyer.gstin) {
+        doc.text(`GSTIN: ${invoice.buyer.gstin}`, 300);
+    }
+    doc.y = Math.max(sellerBottom, doc.y);
+    doc.x = 40;
+    doc.moveDown();
+
+    // Line items
+    const columns = isIntraState
+        ? [['Item', 170], ['HSN', 45], ['Qty', 30], ['Taxable', 70], ['Rate', 40], ['CGST', 55], ['SGST', 55], ['Total', 70]]
+        : [['Item', 170], ['HSN', 45], ['Qty', 30], ['Taxable', 70], ['Rate', 40], ['IGST', 110], ['Total', 70]];
+
+    const drawRow = (values, bold) => {
+        const top = doc.y;
+        let x = 40;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        let bottom = top;
+        values.forEach((value, i) => {
+            const width = columns[i][1];
+            doc.text(String(value), x, top, { width: width - 4 });
+            bottom = Math.max(bottom, doc.y);
+            x += width;
+        });
+        doc.y = bottom + 4;
+    };
+
+    drawRow(columns.map(([label]) => label), true);
+    invoice.lines.forEach(line => {
+        const taxCells = isIntraState
+            ? [formatMoney(line.cgst), formatMoney(line.sgst)]
+            : [formatMoney(line.igst)];
+        drawRow([
+            line.description,
+            line.hsnCode,
+            line.quantity,
+            formatMoney(line.taxableValue),
+            `${(line.taxRate * 100).toFixed(1)}%`,
+            ...taxCells,
+            formatMoney(line.total),
+        ]);
+    });
+    doc.moveDown();
+
+    // Totals
+    const { totals } = invoice;
+    doc.x = 300;
+    doc.font('Helvetica').fontSize(10).text(`Taxable value: ${formatMoney(totals.taxableValue)}`, 300);
+    if (isIntraState) {
+        doc.text(`CGST: ${formatMoney(totals.cgst)}`, 300).text(`SGST: ${formatMoney(totals.sgst)}`, 300);
+    } else {
+        doc.text(`IGST: ${formatMoney(totals.igst)}`, 300);
+    }
+    doc.text(`Shipping: ${formatMoney(totals.shipping)}`, 300);
+    if (totals.codFee) {
+        doc.text(`Cash on Delivery fee: ${formatMoney(totals.codFee)}`, 300);
+    }
+    doc.font('Helvetica-Bold').text(`Grand total: ${formatMoney(totals.grandTotal)}`, 300);
+
+    doc.moveDown(2);
+    doc.x = 40;
+    doc.font('Helvetica').fontSize(8)
+        .text('This is a computer-generated invoice and does not require a signature.', 40);
+
+    doc.end();
+};
+
+module.exports = {
+    financialYearOf,
+    issueInvoice,
+    regenerateInvoice,
+    renderInvoicePdf,
+};
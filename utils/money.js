@@ -0,0 +1,4 @@
+// All amounts are in rupees and rounded to the paisa.
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = { roundMoney };
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { HttpError } = require('./httpError');
+const { canTransition, statusEntry } = require('./orderStatus');
+const { restockItems } = require('./inventory');
+const { releaseReservations } = require('./reservations');
+
+/**
+ * Cancels an order and puts its stock back (if it took any) in one
+ * transaction. The status change and clearing `stockCommittedAt` are one
+ * conditional update, so of two concurrent cancels (or a retry) only one
+ * restocks, and a failure leaves neither change behind.
+ *
+ * Does not deal with money: see routes/orderRoutes.js for who may cancel what.
+ *
+ * @param {object} order The order as loaded; it must still be in that status
+ * @param {{actor?: string, note?: string}} [options] `actor` is the User making the change
+ * @returns {Promise<object>} The cancelled order
+ * @throws {HttpError} 409 if the order can't be cancelled, or changed meanwhile
+ */
+const cancelOrder = async (order, { actor, note } = {}) => {
+    if (!canTransition(order.status, 'cancelled', order.paymentMethod)) {
+        throw new HttpError(409, `Cannot move order from ${order.status} to cancelled.`);
+    }
+
+    let cancelled = null;
+    await mongoose.connection.transaction(async (session) => {
+        // Returns the order as it was, so we know whether it had taken stock
+        const before = await Order.findOneAndUpdate(
+            { _id: order._id, status: order.status },
+            {
+                $set: { status: 'cancelled', cancelledAt: order.cancelledAt || Date.now() },
+                $push: { statusHistory: statusEntry('cancelled', { from: order.status, actor, note }) },
+                $unset: { stockCommittedAt: '' },
+            },
+            { session }
+        );
+        if (!before) {
+            throw new HttpError(409, 'This order changed while it was being cancelled. Please reload and try again.');
+        }
+
+        if (before.stockCommittedAt) {
+            await restockItems(before.orderItems, { session, reason: 'cancellation', order: order._id, user: actor, note });
+        }
+        cancelled = await Order.findById(order._id).session(session);
+    });
+
+    await releaseReservations(order._id, 'cancelled');
+    return cancelled;
+};
+
+module.exports = { cancelOrder };
@@ -0,0 +1,106 @@
+const { HttpError } = require('./httpError');
+
+// Every status an order can be in, in rough lifecycle order.
+const ORDER_STATUSES = [
+    'pending_payment',
+    'paid',
+    'packed',
+    'shipped',
+    'out_for_delivery',
+    'delivered',
+    'cancelled',
+    'returned',
+    'refunded',
+];
+
+// Legal moves from each status. Fulfilment steps may be skipped
+// (a local hand-delivery goes straight from `paid` to `delivered`),
+// but an order never moves backwards.
+const TRANSITIONS = {
+    pending_payment: ['paid', 'cancelled'],
+    paid: ['packed', 'shipped', 'delivered', 'cancelled'],
+    packed: ['shipped', 'delivered', 'cancelled'],
+    shipped: ['out_for_delivery', 'delivered'],
+    out_for_delivery: ['delivered'],
+    delivered: ['returned', 'refunded'],
+    cancelled: ['refunded'],
+    returned: ['refunded'],
+    refunded: [],
+};
+
+// Cash on Delivery orders are confirmed while still unpaid: they ship from
+// `pending_payment` and `paidAt` is stamped when the cash is collected.
+// A parcel the customer refuses comes back, so it can still be cancelled
+// after it has left the warehouse.
+const COD_TRANSITIONS = {
+    ...TRANSITIONS,
+    pending_payment: ['packed', 'shipped', 'delivered', 'cancelled'],
+    shipped: ['out_for_delivery', 'delivered', 'cancelled'],
+    out_for_delivery: ['delivered', 'cancelled'],
+};
+
+// Timestamp fields that are stamped the first time an order reaches a status.
+const STATUS_TIMESTAMPS = {
+    paid: 'paidAt',
+    delivered: 'deliveredAt',
+    cancelled: 'cancelledAt',
+};
+
+/**
+ * Whether an order may move from one status to another.
+ * @param {string} from
+ * @param {string} to
+ * @param {string} [paymentMethod] 'razorpay' (default) or 'cod'
+ */
+const canTransition = (from, to, paymentMethod) => {
+    const table = paymentMethod === 'cod' ? COD_TRANSITIONS : TRANSITIONS;
+    return Boolean(table[from] && table[from].includes(to));
+};
+
+/**
+ * Builds one `statusHistory` entry.
+ * @param {string} status The status being entered
+ * @param {{from?: string, actor?: string, note?: string}} [options]
+ */
+const statusEntry = (status, { from, actor, note } = {}) => ({
+    status,
+    from,
+    actor,
+    note,
+    changedAt: new Date(),
+});
+
+/**
+ * Moves an Order document to a new status and appends to its timeline.
+ * This is the only place that should change `order.status`; it does not
+ * save the document.
+ *
+ * @param {import('mongoose').Document} order
+ * @param {string} to Target status
+ * @param {{actor?: string, note?: string}} [options] `actor` is the User ID making the change (omit for system changes)
+ * @throws {HttpError} 409 if the move is not allowed
+ */
+const transitionOrder = (order, to, { actor, note } = {}) => {
+    const from = order.status;
+    if (!canTransition(from, to, order.paymentMethod)) {
+        throw new HttpError(409, `Cannot move order from ${from} to ${to}.`);
+    }
+
+    order.status = to;
+    order.statusHistory.push(statusEntry(to, { from, actor, note }));
+
+    const timestampField = STATUS_TIMESTAMPS[to];
+    if (timestampField && !order[timestampField]) {
+        order[timestampField] = Date.now();
+    }
+
+    return order;
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    TRANSITIONS,
+    canTransition,
+    statusEntry,
+    transitionOrder,
+};
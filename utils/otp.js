@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const { HttpError } = require('./httpError');
+const { getSmsProvider } = require('./sms');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseFloat(process.env.OTP_TTL_MINUTES || '5');
+// Tries per code, right or wrong; after that a new code is needed
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+// How soon another code can be sent to the same phone
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS || '60', 10);
+// Numbers are stored as 10 digits, like shipping address phones
+const PHONE_COUNTRY_CODE = '+91';
+
+/**
+ * Turns what a customer typed ('+91 98765 43210', '098765-43210', ...) into
+ * the 10 digits we store.
+ *
+ * @param {string} input
+ * @returns {string|null} null if it isn't a 10-digit Indian number
+ */
+const normalizePhone = (input) => {
+    let digits = String(input || '').replace(/[\s\-()]/g, '');
+    if (digits.startsWith(PHONE_COUNTRY_CODE)) digits = digits.slice(PHONE_COUNTRY_CODE.length);
+    else if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+    else if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    return /^\d{10}$/.test(digits) ? digits : null;
+};
+
+// A leaked database shouldn't give the codes away (a plain hash of a
+// 6-digit code is trivially reversed), so they are keyed with a secret
+const hashCode = (phone, code) => crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${phone}:${code}`)
+    .digest('hex');
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Texts a new code to a phone, replacing any earlier one for the same purpose.
+ *
+ * @param {string} phone Normalized (see `normalizePhone`)
+ * @param {'login'|'link'} purpose
+ * @param {{user?: string}} [options] For 'link': the account the phone is being added to
+ * @returns {Promise<{expiresIn: number}>} Seconds the code is valid for
+ * @throws {HttpError} 429 (with `retryAfter`) when the last code was sent too recently
+ */
+const sendOtp = async (phone, purpose, { user } = {}) => {
+    const now = Date.now();
+    const last = await OtpCode.findOne({ phone, purpose }).sort({ createdAt: -1 });
+    if (last) {
+        const retryAfter = Math.ceil((last.createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - now) / 1000);
+        if (retryAfter > 0) {
+            throw new HttpError(429, `Please wait ${retryAfter} seconds before asking for another code.`, { retryAfter });
+        }
+    }
+
+    // Only the newest code works
+    await OtpCode.updateMany(
+        { phone, purpose, consumedAt: { $exists: false }, expiresAt: { $gt: new Date(now) } },
+        { expiresAt: new Date(now) }
+    );
+
+    const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+    const otp = await OtpCode.create({
+        phone,
+        purpose,
+        user,
+        codeHash: hashCode(phone, code),
+        expiresAt: new Date(now + OTP_TTL_MINUTES * 60 * 1000),
+    });
+
+    try {
+        await getSmsProvider().send(
+            `${PHONE_COUNTRY_CODE}${phone}`,
+            `${code} is your Vardhan Wears verification code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+        );
+    } catch (error) {
+        // Nobody got it, so don't let it hold up the resend cooldown
+        await otp.deleteOne();
+        throw error;
+    }
+
+    return { expiresIn: Math.round(OTP_TTL_MINUTES * 60) };
+};
+
+/**
+ * Checks a code against the phone's newest one. Every check uses up one of
+ * the code's tries (counted atomically, so parallel guesses can't get more).
+ * The code stays usable: call `consumeOtp` once it has done its job.
+ *
+ * @param {string} phone Normalized
+ * @param {'login'|'link'} purpose
+ * @param {string} code
+ * @param {{user?: string}} [options] For 'link': the logged-in user, who must have asked for it
+ * @returns {Promise<object>} The OtpCode
+ * @throws {HttpError} 400 for a wrong, expired or used-up code
+ */
+const checkOtp = async (phone, purpose, code, { user } = {}) => {
+    const conditions = {
+        phone,
+        purpose,
+        consumedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: OTP_MAX_ATTEMPTS },
+    };
+    if (user) conditions.user = user;
+
+    const otp = await OtpCode.findOneAndUpdate(
+        conditions,
+        { $inc: { attempts: 1 } },
+        { sort: { createdAt: -1 }, new: true }
+    );
+    if (!otp) {
+        throw new HttpError(400, 'This code has expired or been tried too many times. Please request a new one.');
+    }
+
+    if (!sameHash(otp.codeHash, hashCode(phone, String(code || '').trim()))) {
+        const attemptsLeft = OTP_MAX_ATTEMPTS - otp.attempts;
+        throw new HttpError(400, attemptsLeft > 0
+            ? 'That code is not right. Please check it and try again.'
+            : 'That code is not right. Please request a new one.', { attemptsLeft });
+    }
+    return otp;
+};
+
+/**
+ * Marks a checked code as used, so it can't be used again.
+ *
+ * @param {object} otp From `checkOtp`
+ * @throws {HttpError} 400 if another request used it first
+ */
+const consumeOtp = async (otp) => {
+    const consumed = await OtpCode.findOneAndUpdate(
+        { _id: otp._id, consumedAt: { $exists: false } },
+        { consumedAt: new Date() }
+    );
+    if (!consumed) {
+        throw new HttpError(400, 'This code has already been used. Please request a new one.');
+    }
+};
+
+module.exports = { normalizePhone, sendOtp, checkOtp, consumeOtp };
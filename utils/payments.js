@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const razorpay = require('./razorpay');
+const { decrementStock } = require('./inventory');
+const { statusEntry, transitionOrder } = require('./orderStatus');
+const { consumeReservations, releaseReservations, getHeldQuantities } = require('./reservations');
+const { findVariant } = require('./variants');
+const { redeemCoupon } = require('./coupons');
+const { issueInvoice } = require('./invoices');
+const { HttpError } = require('./httpError');
+
+/**
+ * Constant-time comparison of two hex HMAC digests.
+ */
+const signaturesMatch = (expected, received) => {
+    if (typeof received !== 'string' || received.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+/**
+ * Checks the signature Razorpay Checkout hands back to the browser.
+ */
+const verifyCheckoutSignature = (razorpayOrderId, razorpayPaymentId, signature) => {
+    const expected = crypto
+        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+        .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+        .digest('hex');
+    return signaturesMatch(expected, signature);
+};
+
+/**
+ * Checks the `X-Razorpay-Signature` header against the raw webhook body.
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+    if (!rawBody || !process.env.RAZORPAY_WEBHOOK_SECRET) return false;
+    const expected = crypto
+        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+        .update(rawBody)
+        .digest('hex');
+    return signaturesMatch(expected, signature);
+};
+
+/**
+ * The update that moves a pending order to `paid`.
+ */
+const paidUpdate = (payment, { actor, note }) => ({
+    $set: {
+        status: 'paid',
+        paidAt: Date.now(),
+        'paymentDetails.razorpayOrderId': payment.razorpayOrderId,
+        'paymentDetails.razorpayPaymentId': payment.razorpayPaymentId,
+        'paymentDetails.razorpaySignature': payment.razorpaySignature,
+        'paymentDetails.paymentMethod': payment.paymentMethod,
+    },
+    $push: {
+        statusHistory: statusEntry('paid', { from: 'pending_payment', actor, note }),
+    },
+});
+
+/**
+ * A payment was captured for an order that can't take it: it was cancelled
+ * (by the customer, an admin or the reservation sweeper) before the money
+ * arrived, or it was already paid by another payment. Records the payment
+ * on the order and refunds it in full, at most once per payment.
+ *
+ * @returns {Promise<object|null>} The order
+ */
+const refundStrayPayment = async (orderId, payment, reason) => {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, 'strayPayments.razorpayPaymentId': { $ne: payment.razorpayPaymentId } },
+        {
+            $push: {
+                strayPayments: {
+                    razorpayPaymentId: payment.razorpayPaymentId,
+                    reason,
+                    status: 'pending',
+                    flaggedAt: Date.now(),
+                },
+            },
+        },
+        { new: true }
+    );
+    // The webhook and /verify both report the same payment; the other one refunds it
+    if (!order) return Order.findById(orderId);
+
+    const result = {};
+    try {
+        const refund = await razorpay.payments.refund(payment.razorpayPaymentId, {
+            notes: { orderId: order._id.toString(), reason: 'order_not_payable' },
+        });
+        result['strayPayments.$.status'] = 'initiated';
+        result['strayPayments.$.razorpayRefundId'] = refund.id;
+    } catch (error) {
+        // Leave it flagged so an admin can refund by hand
+        console.error(`Refund of stray payment ${payment.razorpayPaymentId} on order ${order._id} failed:`, error);
+        result['strayPayments.$.status'] = 'failed';
+        result['strayPayments.$.error'] = (error.error && error.error.description) || error.message;
+    }
+
+    return Order.findOneAndUpdate(
+        { _id: order._id, 'strayPayments.razorpayPaymentId': payment.razorpayPaymentId },
+        { $set: result },
+        { new: true }
+    );
+};
+
+/**
+ * What to do with a payment for an order that is no longer `pending_payment`.
+ * The payment the order was paid with is a repeat report of it; any other
+ * payment is refunded.
+ *
+ * @returns {Promise<{order: object|null, alreadyPaid: boolean, oversold: boolean, notPayable: boolean}>}
+ */
+const settleNotPending = async (orderId, payment) => {
+    const order = await Order.findById(orderId);
+    if (!order || order.paymentDetails.razorpayPaymentId === payment.razorpayPaymentId) {
+        return { order, alreadyPaid: true, oversold: false, notPayable: false };
+    }
+
+    const reason = order.status === 'cancelled'
+        ? 'Payment captured after the order was cancelled'
+        : `Payment captured while the order was already ${order.status}`;
+    return { order: await refundStrayPayment(orderId, payment, reason), alreadyPaid: false, oversold: false, notPayable: true };
+};
+
+// Thrown inside the transaction to roll back a partial stock decrement.
+class OversoldError extends Error {
+    constructor(shortLines) {
+        super('Not enough stock to fulfil order');
+        this.name = 'OversoldError';
+        this.shortLines = shortLines;
+    }
+}
+
+/**
+ * The customer has paid but we can't ship everything: record the payment,
+ * cancel the order and hand the money straight back.
+ */
+const refundOversoldOrder = async (orderId, payment, shortLines, options) => {
+    const update = paidUpdate(payment, options);
+    update.$set.autoRefund = {
+        reason: 'Out of stock when payment was confirmed',
+        lines: shortLines.map(({ product, name, variant, size, colorName, quantity }) => ({ product, name, variant, size, colorName, quantity })),
+        status: 'pending',
+        flaggedAt: Date.now(),
+    };
+
+    const order = await Order.findOneAndUpdate({ _id: orderId, status: 'pending_payment' }, update, { new: true });
+    if (!order) {
+        return settleNotPending(orderId, payment);
+    }
+
+    await releaseReservations(order._id, 'oversold');
+    transitionOrder(order, 'cancelled', { note: 'Out of stock at payment time; refunding automatically' });
+
+    try {
+        const refund = await razorpay.payments.refund(payment.razorpayPaymentId, {
+            amount: Math.round(order.totalPrice * 100),
+            notes: { orderId: order._id.toString(), reason: 'oversold' },
+        });
+        order.autoRefund.status = 'initiated';
+        order.autoRefund.razorpayRefundId = refund.id;
+    } catch (error) {
+        // Leave it flagged so an admin can refund by hand
+        console.error(`Automatic refund failed for order ${order._id}:`, error);
+        order.autoRefund.status = 'failed';
+        order.autoRefund.error = (error.error && error.error.description) || error.message;
+    }
+
+    await order.save();
+    return { order, alreadyPaid: false, oversold: true, notPayable: false };
+};
+
+/**
+ * Marks an order as paid and decrements its stock, exactly once.
+ * Shared by the browser `/verify` call and the Razorpay webhook, which can
+ * race each other: the conditional update means only one of them wins.
+ *
+ * The status change and the stock decrement commit in one transaction
+ * (MongoDB must run as a replica set, which Atlas always does). If any line
+ * is short, nothing is decremented and the order is refunded instead.
+ *
+ * @param {string} orderId Our database order ID
+ * @param {{razorpayOrderId: string, razorpayPaymentId: string, razorpaySignature?: string, paymentMethod?: string}} payment
+ * @param {{actor?: string, note?: string}} [options] Passed through to the status timeline
+ * @returns {Promise<{order: object|null, alreadyPaid: boolean, oversold: boolean, notPayable: boolean}>}
+ *          `alreadyPaid` is true when this payment was already recorded (nothing changed);
+ *          `notPayable` when the order was cancelled or paid otherwise, and this payment is being refunded
+ */
+const markOrderPaid = async (orderId, payment, options = {}) => {
+    const session = await mongoose.startSession();
+    let order = null;
+
+    try {
+        await session.withTransaction(async () => {
+            const update = paidUpdate(payment, options);
+            update.$set.stockCommittedAt = Date.now();
+
+            order = await Order.findOneAndUpdate(
+                { _id: orderId, status: 'pending_payment' },
+                update,
+                { new: true, session }
+            );
+            if (!order) return;
+
+            const shortLines = await decrementStock(order.orderItems, { session, order: order._id, user: order.user });
+            if (shortLines.length > 0) {
+                throw new OversoldError(shortLines);
+            }
+
+            await consumeReservations(order._id, { session });
+            await redeemCoupon(order, { session });
+        });
+    } catch (error) {
+        if (error instanceof OversoldError) {
+            return refundOversoldOrder(orderId, payment, error.shortLines, options);
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+
+    if (!order) {
+        return settleNotPending(orderId, payment);
+    }
+
+    // Best effort: GET /api/orders/:id/invoice issues it later if this fails
+    issueInvoice(order).catch(err => console.error(`Error issuing invoice for order ${order._id}:`, err));
+
+    return { order, alreadyPaid: false, oversold: false, notPayable: false };
+};
+
+/**
+ * Saves a new Cash on Delivery order and takes its stock in one transaction.
+ * Nothing is held or reserved: the stock is gone the moment the order exists.
+ * Stock that online shoppers are holding (utils/reservations.js) is not for
+ * sale: like reserveOrderItems, we take the stock first and then check that
+ * what is left still covers every active hold, backing out if it doesn't.
+ *
+ * @param {object} order Unsaved Order document with paymentMethod 'cod'
+ * @returns {Promise<object>} The saved order
+ * @throws {HttpError} 400 if any line is out of stock (nothing is saved)
+ */
+const placeCodOrder = async (order) => {
+    await mongoose.connection.transaction(async (session) => {
+        const shortLines = await decrementStock(order.orderItems, { session, order: order._id, user: order.user });
+        if (shortLines.length > 0) {
+            const { name, size, colorName } = shortLines[0];
+            throw new HttpError(400, `Not enough stock for ${name} (${size}, ${colorName}).`);
+        }
+
+        const productIds = [...new Set(order.orderItems.map(item => String(item.product)))];
+        const products = await Product.find({ _id: { $in: productIds } }).select('variants').session(session);
+        const productMap = new Map(products.map(p => [p._id.toString(), p]));
+        const lines = order.orderItems.map(item => ({ item, variant: findVariant(productMap.get(String(item.product)), item) }));
+
+        const heldMap = await getHeldQuantities(lines.map(({ variant }) => variant._id));
+        const shortLine = lines.find(({ variant }) => (heldMap.get(variant._id.toString()) || 0) > variant.stock);
+        if (shortLine) {
+            const { item, variant } = shortLine;
+            // What there was before this order, less what others are holding
+            const left = Math.max(0, variant.stock + item.quantity - heldMap.get(variant._id.toString()));
+            throw new HttpError(400, `Not enough stock for ${item.name} (${item.size}, ${item.colorName}). Only ${left} left.`);
+        }
+
+        order.stockCommittedAt = Date.now();
+        await order.save({ session });
+    });
+    return order;
+};
+
+/**
+ * Records that a COD order's cash was collected. Does not save the order;
+ * call finaliseCodPayment() once it is saved.
+ *
+ * @param {object} order Order document
+ * @param {{source: 'admin'|'courier', actor?: string, amount?: number}} collection
+ * @throws {HttpError} 400 if the order isn't an unpaid, live COD order
+ */
+const recordCodCollection = (order, { source, actor, amount }) => {
+    if (order.paymentMethod !== 'cod') {
+        throw new HttpError(400, 'This is not a Cash on Delivery order.');
+    }
+    if (order.paidAt) {
+        throw new HttpError(400, 'Cash for this order has already been collected.');
+    }
+    if (order.status === 'cancelled') {
+        throw new HttpError(400, 'This order has been cancelled.');
+    }
+
+    order.paidAt = Date.now();
+    order.codCollection = {
+        amount: amount !== undefined ? Number(amount) : order.totalPrice,
+        source,
+        confirmedBy: actor,
+        collectedAt: order.paidAt,
+    };
+    return order;
+};
+
+/**
+ * Post-payment bookkeeping for a saved COD order: count its coupon and issue its invoice.
+ */
+const finaliseCodPayment = async (order) => {
+    await redeemCoupon(order);
+    issueInvoice(order).catch(err => console.error(`Error issuing invoice for order ${order._id}:`, err));
+};
+
+/**
+ * Refunds a cancelled online order in full through Razorpay. The order is
+ * claimed first (`refundRequestedAt`), so two requests can't both refund it;
+ * the claim is dropped again if Razorpay refuses. The refund.processed
+ * webhook then moves the order to `refunded`.
+ *
+ * @param {object} order A cancelled order with a Razorpay payment
+ * @param {{note?: string}} [options]
+ * @returns {Promise<object>} The order, with the refund in `refunds`
+ * @throws {HttpError} 409 if it was already refunded or a refund was requested, 502 if Razorpay fails
+ */
+const refundCancelledOrder = async (order, { note } = {}) => {
+    const claimed = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            status: 'cancelled',
+            refundRequestedAt: null,
+            // Nothing refunded already (by hand, or automatically when oversold)
+            'refunds.0': { $exists: false },
+            'autoRefund.status': { $ne: 'initiated' },
+        },
+        { $set: { refundRequestedAt: Date.now() } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new HttpError(409, 'This order has already been refunded, or a refund is on its way.');
+    }
+
+    let refund;
+    try {
+        refund = await razorpay.payments.refund(claimed.paymentDetails.razorpayPaymentId, {
+            amount: Math.round(claimed.totalPrice * 100),
+            notes: { orderId: claimed._id.toString(), reason: note || 'order_cancelled' },
+        });
+    } catch (error) {
+        await Order.updateOne({ _id: claimed._id }, { $unset: { refundRequestedAt: '' } });
+        console.error(`Refund of cancelled order ${claimed._id} failed:`, error);
+        throw new HttpError(502, `Razorpay: ${(error.error && error.error.description) || 'refund failed'}. The order stays cancelled; try the refund again.`);
+    }
+
+    // The refund.processed webhook may have recorded it already
+    const updated = await Order.findOneAndUpdate(
+        { _id: claimed._id, 'refunds.razorpayRefundId': { $ne: refund.id } },
+        { $push: { refunds: { razorpayRefundId: refund.id, amount: refund.amount / 100, status: refund.status } } },
+        { new: true }
+    );
+    return updated || Order.findById(claimed._id);
+};
+
+module.exports = {
+    verifyCheckoutSignature,
+    verifyWebhookSignature,
+    markOrderPaid,
+    placeCodOrder,
+    recordCodCollection,
+    finaliseCodPayment,
+    refundCancelledOrder,
+};
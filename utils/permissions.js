@@ -0,0 +1,82 @@
+// What staff can do, and which role gets what. Routes check permissions
+// (middleware/authMiddleware.js `requirePermission`), never roles, so a role
+// can be reshaped here without touching them.
+const PERMISSIONS = [
+    'products:write',     // Create, edit, import/export, archive and restore products
+    'products:delete',    // Purge archived products
+    'categories:write',   // Manage the category tree
+    'inventory:read',     // Read the stock ledger
+    'inventory:write',    // Adjust stock by hand
+    'promotions:manage',  // Coupons and sale campaigns
+    'orders:read',        // See every customer's orders, invoices and tracking
+    'orders:fulfil',      // Move orders along: status, shipments, deliveries, COD
+    'orders:delete',      // Archive, restore and purge orders
+    'returns:manage',     // Approve, reject and receive returns
+    'refunds:issue',      // Send refunds for received returns
+    'reviews:moderate',   // Approve, hide and delete reviews
+    'shipping:manage',    // Shipping zones and rates
+    'users:manage',       // Invite staff and assign roles
+];
+
+const ROLE_PERMISSIONS = {
+    owner: PERMISSIONS,
+    catalog_manager: [
+        'products:write',
+        'products:delete',
+        'categories:write',
+        'inventory:read',
+        'inventory:write',
+        'promotions:manage',
+        'reviews:moderate',
+    ],
+    fulfilment: [
+        'orders:read',
+        'orders:fulfil',
+        'returns:manage',
+        'inventory:read',
+        'inventory:write',
+    ],
+    support: [
+        'orders:read',
+        'returns:manage',
+        'refunds:issue',
+        'reviews:moderate',
+    ],
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * A user's staff role, or null for customers. Admins from before roles
+ * existed (`isAdmin` but no role) count as owners.
+ *
+ * @param {{role?: string, isAdmin?: boolean}} user
+ * @returns {string|null}
+ */
+const roleOf = (user) => {
+    if (!user) return null;
+    if (user.role) return user.role;
+    return user.isAdmin ? 'owner' : null;
+};
+
+/**
+ * @param {object} user
+ * @returns {Array<string>} Everything the user's role allows (empty for customers)
+ */
+const permissionsFor = (user) => ROLE_PERMISSIONS[roleOf(user)] || [];
+
+/**
+ * @param {object} user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => permissionsFor(user).includes(permission);
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    STAFF_ROLES,
+    roleOf,
+    permissionsFor,
+    hasPermission,
+};
@@ -0,0 +1,149 @@
+const Product = require('../models/Product');
+const { HttpError } = require('./httpError');
+const { roundMoney } = require('./money');
+const { evaluateCoupon } = require('./coupons');
+const { quoteShipping } = require('./shipping');
+const { findVariant } = require('./variants');
+const { runningCampaigns, currentPrice } = require('./sales');
+
+// These can be tuned per environment without a deploy.
+const TAX_RATE = parseFloat(process.env.TAX_RATE || '0.05');
+// Cash on Delivery: an optional handling fee and an optional order-value cap.
+const COD_FEE = parseFloat(process.env.COD_FEE || '0');
+const COD_MAX_ORDER_VALUE = process.env.COD_MAX_ORDER_VALUE ? parseFloat(process.env.COD_MAX_ORDER_VALUE) : null;
+
+// How far (in rupees) a client's total may drift from ours before we refuse it.
+const TOTAL_TOLERANCE = 0.01;
+
+/**
+ * Builds an authoritative price quote for a list of order items.
+ * Only `product`, the variant (`variant`/`variantId`, `sku`, or `size` +
+ * `colorName`) and `quantity` are read from each item; names, images and
+ * prices always come from the database.
+ *
+ * Running sale campaigns are applied first (the line `price`, with the
+ * regular price as `listPrice`). A coupon discount is spread over the lines
+ * it applies to, in proportion to their value, and tax is charged on what's
+ * left. Shipping comes from the zone matching `shippingAddress` (or the flat
+ * fallback when there is none).
+ * Cash on Delivery adds COD_FEE and is refused above COD_MAX_ORDER_VALUE.
+ *
+ * @param {Array<{product: string, variant?: string, sku?: string, size?: string, colorName?: string, quantity: number}>} items
+ * @param {{couponCode?: string, userId?: string, shippingAddress?: {postalCode: string, state?: string}, paymentMethod?: string}} [options]
+ * @returns {Promise<{lines: Array, subtotal: number, shipping: number, tax: number, discount: number, codFee: number, grandTotal: number, coupon: object|null, shippingDetails: object}>}
+ */
+const buildQuote = async (items, { couponCode, userId, shippingAddress, paymentMethod } = {}) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new HttpError(400, 'Order must contain at least one item.');
+    }
+
+    const productIds = [...new Set(items.map(item => String(item.product)))];
+    const products = await Product.find({ _id: { $in: productIds } }).select('name price images category weightGrams variants archivedAt');
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    const campaigns = await runningCampaigns();
+
+    const lines = items.map(item => {
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new HttpError(400, `Invalid quantity for ${item.name || item.product}.`);
+        }
+
+        const product = productMap.get(String(item.product));
+        if (!product) {
+            throw new HttpError(404, `Product not found: ${item.name || item.product}`);
+        }
+        if (product.archivedAt) {
+            throw new HttpError(400, `${product.name} is no longer available. Please remove it from your cart.`);
+        }
+
+        const variant = findVariant(product, item);
+        if (!variant) {
+            const label = item.sku ? `SKU: ${item.sku}` : `Size: ${item.size}, Color: ${item.colorName}`;
+            throw new HttpError(404, `Variant not found for ${product.name} (${label})`);
+        }
+
+        const { price, listPrice, campaign } = currentPrice(product, variant, campaigns);
+        const unitPrice = roundMoney(price);
+        const lineTotal = roundMoney(unitPrice * quantity);
+
+        return {
+            product: product._id,
+            name: product.name,
+            image: product.images[0] || item.image,
+            variant: variant._id,
+            sku: variant.sku,
+            size: variant.size,
+            colorName: variant.colorName,
+            quantity,
+            price: unitPrice,
+            listPrice,
+            saleCampaign: campaign ? campaign._id : undefined,
+            compareAtPrice: variant.compareAtPrice,
+            lineTotal,
+            discount: 0,
+            tax: 0,
+            taxRate: TAX_RATE,
+        };
+    });
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+        const result = await evaluateCoupon(couponCode, { lines, productMap, subtotal, userId });
+        discount = result.discount;
+        coupon = { coupon: result.coupon._id, code: result.coupon.code, discount };
+
+        const eligible = lines.filter(line => result.eligibleLines.has(String(line.product)));
+        const eligibleTotal = eligible.reduce((sum, line) => sum + line.lineTotal, 0);
+        let allocated = 0;
+        eligible.forEach((line, index) => {
+            // The last line takes the rounding remainder so the parts add up exactly
+            line.discount = index === eligible.length - 1
+                ? roundMoney(discount - allocated)
+                : roundMoney(discount * line.lineTotal / eligibleTotal);
+            allocated = roundMoney(allocated + line.discount);
+        });
+    }
+
+    lines.forEach(line => {
+        line.tax = roundMoney((line.lineTotal - line.discount) * TAX_RATE);
+    });
+
+    const tax = roundMoney(lines.reduce((sum, line) => sum + line.tax, 0));
+
+    const weightGrams = lines.reduce((sum, line) => {
+        const product = productMap.get(String(line.product));
+        return sum + (product.weightGrams || 0) * line.quantity;
+    }, 0);
+    const shippingDetails = await quoteShipping({ address: shippingAddress, weightGrams, cartValue: subtotal });
+    const shipping = shippingDetails.shipping;
+
+    let codFee = 0;
+    if (paymentMethod === 'cod') {
+        if (!shippingDetails.codAvailable) {
+            throw new HttpError(400, 'Cash on Delivery is not available for this address.');
+        }
+        codFee = COD_FEE;
+    }
+
+    const grandTotal = roundMoney(subtotal + shipping + tax + codFee - discount);
+
+    if (paymentMethod === 'cod' && COD_MAX_ORDER_VALUE !== null && grandTotal > COD_MAX_ORDER_VALUE) {
+        throw new HttpError(400, `Cash on Delivery is only available for orders up to ₹${COD_MAX_ORDER_VALUE}. Please pay online.`);
+    }
+
+    return { lines, subtotal, shipping, tax, discount, codFee, grandTotal, coupon, shippingDetails: { ...shippingDetails, weightGrams } };
+};
+
+/**
+ * True when a client-supplied total is close enough to the server quote.
+ * A missing client total is accepted; we simply charge the quote.
+ */
+const totalsMatch = (clientTotal, quote) => {
+    if (clientTotal === undefined || clientTotal === null) return true;
+    return Math.abs(Number(clientTotal) - quote.grandTotal) <= TOTAL_TOLERANCE;
+};
+
+module.exports = { buildQuote, totalsMatch, roundMoney };
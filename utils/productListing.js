@@ -0,0 +1,212 @@
+// Builds the aggregation behind GET /api/products: filters, sorting, page-based
+// pagination and the facet counts for the storefront's filter sidebar.
+const { salePriceExpression } = require('./sales');
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Price facet boundaries (₹). Buckets are [0, 500), [500, 1000) ... and 5000+
+const PRICE_BUCKETS = (process.env.PRICE_FACET_BUCKETS || '500,1000,2000,5000')
+    .split(',')
+    .map(Number)
+    .filter(n => n > 0)
+    .sort((a, b) => a - b);
+
+// `_id` last keeps the order stable across pages when the main key ties
+const SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    // By "from" price: the cheapest variant, after any running sale
+    price_asc: { currentMinPrice: 1, _id: 1 },
+    price_desc: { currentMinPrice: -1, _id: -1 },
+    popular: { salesCount: -1, createdAt: -1, _id: -1 },
+    rating: { 'rating.average': -1, 'rating.count': -1, _id: -1 },
+    name: { name: 1, _id: 1 },
+};
+
+// "M,L" or ["M", "L"] -> ['M', 'L']
+const listParam = (value) => [].concat(value || [])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+const numberParam = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : undefined;
+};
+
+/**
+ * Reads the listing options from a request's query string.
+ *
+ * @param {object} query `req.query`
+ * @returns {{page: number, limit: number, sort: string, sizes: Array<string>, colors: Array<string>, minPrice?: number, maxPrice?: number, inStock: boolean}}
+ */
+const parseListingQuery = (query) => ({
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    sort: SORTS[query.sort] ? query.sort : 'newest',
+    sizes: listParam(query.size),
+    colors: listParam(query.color || query.colorName),
+    minPrice: numberParam(query.minPrice),
+    maxPrice: numberParam(query.maxPrice),
+    inStock: query.inStock === 'true' || query.inStock === '1',
+});
+
+// Conditions one variant must meet, leaving out the facet being counted
+const variantConditions = (options, without) => {
+    const conditions = {};
+    if (without !== 'size' && options.sizes.length) conditions.size = { $in: options.sizes };
+    if (without !== 'color' && options.colors.length) conditions.colorName = { $in: options.colors };
+    if (options.inStock) conditions.stock = { $gt: 0 };
+    return conditions;
+};
+
+// The product-level $match, leaving out the facet being counted.
+// Size, colour and stock are checked on the *same* variant, so "M in Blue,
+// in stock" doesn't match a product with a sold-out blue M and a red M.
+const productMatch = (options, without) => {
+    const match = {};
+
+    // Variants can be priced differently, so a product matches when any of
+    // them falls in the range, i.e. the two ranges overlap
+    if (without !== 'price') {
+        if (options.minPrice !== undefined) match.currentMaxPrice = { $gte: options.minPrice };
+        if (options.maxPrice !== undefined) match.currentMinPrice = { $lte: options.maxPrice };
+    }
+
+    const conditions = variantConditions(options, without);
+    if (Object.keys(conditions).length) {
+        match.variants = { $elemMatch: conditions };
+    }
+
+    return match;
+};
+
+// Products per distinct value of a variant field (each product counted once)
+const variantFacet = (options, facet, field) => {
+    const variantMatch = {};
+    Object.entries(variantConditions(options, facet)).forEach(([key, condition]) => {
+        variantMatch[`variants.${key}`] = condition;
+    });
+
+    return [
+        { $match: productMatch(options, facet) },
+        { $unwind: '$variants' },
+        { $match: variantMatch },
+        { $group: { _id: { value: `$variants.${field}`, product: '$_id' }, colorHex: { $first: '$variants.colorHex' } } },
+        { $group: { _id: '$_id.value', count: { $sum: 1 }, colorHex: { $first: '$colorHex' } } },
+        { $sort: { _id: 1 } },
+    ];
+};
+
+/**
+ * Builds the single aggregation that returns a page of products, the total
+ * and the facet counts. Each facet ignores its own filter, so picking "M"
+ * still shows how many products come in "L".
+ *
+ * @param {object} options From `parseListingQuery`
+ * @param {object} baseMatch Filters that apply everywhere (e.g. category)
+ * @param {Array<object>} [campaigns] Running sales (utils/sales.js), so price
+ *        filters, sorts and buckets use what customers will actually pay
+ * @returns {Array<object>} Aggregation pipeline
+ */
+const buildListingPipeline = (options, baseMatch = {}, campaigns = []) => [
+    { $match: baseMatch },
+    {
+        $addFields: {
+            currentMinPrice: salePriceExpression('$minPrice', campaigns),
+            currentMaxPrice: salePriceExpression('$maxPrice', campaigns),
+        },
+    },
+    {
+        $facet: {
+            products: [
+                { $match: productMatch(options) },
+                { $sort: SORTS[options.sort] },
+                { $skip: (options.page - 1) * options.limit },
+                { $limit: options.limit },
+                {
+                    $lookup: {
+                        from: 'categories',
+                        let: { categoryId: '$category' },
+                        pipeline: [
+                            { $match: { $expr: { $eq: ['$_id', '$$categoryId'] } } },
+                            { $project: { name: 1, ancestors: 1 } },
+                        ],
+                        as: 'category',
+                    },
+                },
+                { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+                { $unset: ['currentMinPrice', 'currentMaxPrice'] },
+            ],
+            total: [
+                { $match: productMatch(options) },
+                { $count: 'count' },
+            ],
+            sizes: variantFacet(options, 'size', 'size'),
+            colors: variantFacet(options, 'color', 'colorName'),
+            price: [
+                { $match: productMatch(options, 'price') },
+                {
+                    $bucket: {
+                        groupBy: '$currentMinPrice',
+                        boundaries: [0, ...PRICE_BUCKETS],
+                        default: 'above',
+                        output: { count: { $sum: 1 } },
+                    },
+                },
+            ],
+        },
+    },
+];
+
+/**
+ * Shapes the `$facet` output into the listing response.
+ *
+ * @param {object} result The single document the pipeline returns
+ * @param {object} options From `parseListingQuery`
+ * @returns {object}
+ */
+const formatListing = (result, options) => {
+    const total = result.total.length ? result.total[0].count : 0;
+    const lastBound = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+    return {
+        products: result.products,
+        page: options.page,
+        limit: options.limit,
+        total,
+        pages: Math.ceil(total / options.limit),
+        facets: {
+            sizes: result.sizes.map(f => ({ value: f._id, count: f.count })),
+            colors: result.colors.map(f => ({ value: f._id, colorHex: f.colorHex, count: f.count })),
+            price: result.price.map(f => {
+                if (f._id === 'above') return { min: lastBound, max: null, count: f.count };
+                const index = PRICE_BUCKETS.indexOf(f._id);
+                return { min: f._id, max: index === -1 ? PRICE_BUCKETS[0] : PRICE_BUCKETS[index + 1], count: f.count };
+            }),
+        },
+    };
+};
+
+/**
+ * An empty page in the listing shape, for filters nothing can match.
+ *
+ * @param {object} options From `parseListingQuery`
+ * @returns {object}
+ */
+const emptyListing = (options) => ({
+    products: [],
+    page: options.page,
+    limit: options.limit,
+    total: 0,
+    pages: 0,
+    facets: { sizes: [], colors: [], price: [] },
+});
+
+module.exports = {
+    parseListingQuery,
+    buildListingPipeline,
+    formatListing,
+    emptyListing,
+};
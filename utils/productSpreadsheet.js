@@ -0,0 +1,478 @@
+// Bulk product import/export. One spreadsheet row is one variant; rows with
+// the same product name make up one product, and product-level columns may
+// be repeated on every row or given once.
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { HttpError } = require('./httpError');
+const { removeStoredImages } = require('./images');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS || '5000', 10);
+
+// Column order for exports (and the headers imports understand)
+const COLUMNS = [
+    'name', 'description', 'category', 'price', 'hsnCode', 'weightGrams', 'images',
+    'sku', 'barcode', 'size', 'colorName', 'colorHex', 'stock', 'variantPrice', 'compareAtPrice',
+];
+const PRODUCT_COLUMNS = ['description', 'category', 'price', 'hsnCode', 'weightGrams', 'images'];
+
+// Loose header spellings -> column key ("Colour Name", "colour_name" ...)
+const HEADER_ALIASES = {
+    colour: 'colorName', color: 'colorName', colourname: 'colorName',
+    colourhex: 'colorHex', hex: 'colorHex',
+    hsn: 'hsnCode', weight: 'weightGrams',
+    image: 'images', imageurls: 'images',
+    ean: 'barcode', gtin: 'barcode', upc: 'barcode',
+    mrp: 'compareAtPrice',
+};
+
+// Variant fields that live under a different name in the sheet
+const VARIANT_COLUMN_FIELDS = { variantPrice: 'price' };
+const COLUMN_FOR_VARIANT_FIELD = { price: 'variantPrice' };
+const HEADERS = Object.fromEntries(COLUMNS.map(column => [column.toLowerCase(), column]));
+
+// Several image URLs share one cell, separated by "|" (or new lines)
+const IMAGE_SEPARATOR = '|';
+
+const normaliseHeader = (header) => {
+    const compact = String(header || '').toLowerCase().replace(/[^a-z]/g, '');
+    return HEADERS[compact] || HEADER_ALIASES[compact] || null;
+};
+
+const toRecord = (entries) => {
+    const values = {};
+    entries.forEach(([header, value]) => {
+        const key = normaliseHeader(header);
+        if (key) values[key] = String(value === undefined || value === null ? '' : value).trim();
+    });
+    return values;
+};
+
+/**
+ * Reads a .csv or .xlsx upload into rows.
+ *
+ * @param {Buffer} buffer
+ * @param {string} filename Used for the extension
+ * @returns {Promise<Array<{row: number, values: object}>>} `row` is the spreadsheet line number
+ * @throws {HttpError} 400 for unreadable files, missing columns or too many rows
+ */
+const parseSpreadsheet = async (buffer, filename) => {
+    let rows = [];
+
+    if (path.extname(filename).toLowerCase() === '.xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            throw new HttpError(400, 'That file is not a valid .xlsx spreadsheet.');
+        }
+        const sheet = workbook.worksheets[0];
+        if (!sheet) throw new HttpError(400, 'The spreadsheet has no sheets.');
+
+        const headers = [];
+        sheet.getRow(1).eachCell((cell, column) => { headers[column] = cell.text; });
+        sheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const entries = headers.map((header, column) => [header, row.getCell(column).text]).filter(Boolean);
+            rows.push({ row: rowNumber, values: toRecord(entries) });
+        });
+    } else {
+        let records;
+        try {
+            records = parse(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true, info: true });
+        } catch (error) {
+            throw new HttpError(400, `Could not read the CSV: ${error.message}`);
+        }
+        const [header, ...body] = records;
+        if (header) {
+            rows = body.map(({ record, info }) => ({
+                row: info.lines,
+                values: toRecord(header.record.map((name, i) => [name, record[i]])),
+            }));
+        }
+    }
+
+    rows = rows.filter(r => Object.values(r.values).some(Boolean));
+    if (rows.length === 0) {
+        throw new HttpError(400, 'The file has no product rows.');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new HttpError(400, `Please import at most ${MAX_IMPORT_ROWS} rows at a time.`);
+    }
+    const missing = ['name', 'size', 'colorName'].filter(column => !rows.some(r => r.values[column] !== undefined));
+    if (missing.length) {
+        throw new HttpError(400, `Missing required column(s): ${missing.join(', ')}.`);
+    }
+
+    return rows;
+};
+
+// "Women > Kurtas" (or a unique name like "Kurtas") -> category id
+const buildCategoryResolver = async () => {
+    const categories = await Category.find().select('name ancestors').lean();
+    const byPath = new Map();
+    const byName = new Map();
+    categories.forEach(c => {
+        const label = [...c.ancestors.map(a => a.name), c.name].join(' > ').toLowerCase();
+        byPath.set(label, c._id);
+        const key = c.name.toLowerCase();
+        byName.set(key, [...(byName.get(key) || []), c._id]);
+    });
+
+    return (text) => {
+        const key = text.split('>').map(part => part.trim()).join(' > ').toLowerCase();
+        if (byPath.has(key)) return { id: byPath.get(key) };
+        const matches = byName.get(key) || [];
+        if (matches.length === 1) return { id: matches[0] };
+        if (matches.length > 1) return { error: `"${text}" matches several categories; use the full path, e.g. "Women > ${text}".` };
+        return { error: `Category "${text}" not found.` };
+    };
+};
+
+const parseNumber = (value, { integer = false } = {}) => {
+    if (value === undefined || value === '') return undefined;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || (integer && !Number.isInteger(n))) return NaN;
+    return n;
+};
+
+// Turns one row's text into typed fields, collecting problems
+const readRow = ({ row, values }, resolveCategory, errors) => {
+    const fail = (field, message) => errors.push({ row, field, message });
+    const fields = {
+        name: values.name,
+        sku: values.sku ? values.sku.toUpperCase() : undefined,
+        barcode: values.barcode || undefined,
+        size: values.size,
+        colorName: values.colorName,
+        colorHex: values.colorHex || undefined,
+        description: values.description || undefined,
+        hsnCode: values.hsnCode || undefined,
+        images: values.images
+            ? values.images.split(/[|\n]/).map(url => url.trim()).filter(Boolean)
+            : undefined,
+    };
+
+    if (!fields.name) fail('name', 'Product name is required.');
+    if (!fields.size) fail('size', 'Size is required.');
+    if (!fields.colorName) fail('colorName', 'Colour name is required.');
+
+    [['price', {}], ['weightGrams', {}], ['stock', { integer: true }], ['variantPrice', {}], ['compareAtPrice', {}]].forEach(([field, options]) => {
+        const n = parseNumber(values[field], options);
+        if (Number.isNaN(n)) {
+            fail(field, `${field} must be a ${options.integer ? 'whole ' : ''}number of 0 or more.`);
+        } else {
+            fields[field] = n;
+        }
+    });
+
+    if (values.category) {
+        const { id, error } = resolveCategory(values.category);
+        if (error) fail('category', error);
+        fields.category = id;
+    }
+
+    return fields;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const variantKey = (size, colorName) => `${size}|${colorName}`.toLowerCase();
+
+/**
+ * Applies one product's planned changes to a Product document: its name and
+ * product-level columns, then each variant upserted by SKU, else by size +
+ * colour. Used for the preview and again, on a freshly loaded copy, to save.
+ *
+ * @param {object} product Product document
+ * @param {{name: string, productFields: object, variants: Array<object>}} changes
+ * @returns {{previousImageUploads: Array, variantIndexes: Array<number>, created: number, updated: number}}
+ *          `variantIndexes` holds each variant change's index in `product.variants`
+ */
+const applyChanges = (product, { name, productFields, variants }) => {
+    if (product.name !== name) product.name = name;
+
+    const previousImageUploads = product.imageUploads.slice();
+    // Mongoose only marks a field modified if the value really changed
+    product.set(productFields);
+    if (productFields.images) {
+        product.imageUploads = previousImageUploads.filter(upload => productFields.images.includes(upload.url));
+    }
+
+    let created = 0;
+    let updated = 0;
+    const variantIndexes = variants.map(changes => {
+        let index = changes.sku ? product.variants.findIndex(v => v.sku === changes.sku) : -1;
+        if (index === -1) {
+            const key = variantKey(changes.size, changes.colorName);
+            index = product.variants.findIndex(v => variantKey(v.size, v.colorName) === key);
+        }
+
+        if (index === -1) {
+            product.variants.push(changes);
+            created += 1;
+            return product.variants.length - 1;
+        }
+        const variant = product.variants[index];
+        if (Object.entries(changes).some(([field, value]) => variant[field] !== value)) {
+            variant.set(changes);
+            updated += 1;
+        }
+        return index;
+    });
+
+    return { previousImageUploads, variantIndexes, created, updated };
+};
+
+/**
+ * Validates an import and works out what it would change, without saving.
+ *
+ * @param {Array<{row: number, values: object}>} rows From `parseSpreadsheet`
+ * @param {{matchBy?: 'name'|'sku'}} [options] How rows find existing products
+ * @returns {Promise<{errors: Array<{row: number, field: string, message: string}>, plan: Array<object>}>}
+ *          Each plan entry holds the (unsaved) product document and a preview.
+ */
+const planImport = async (rows, { matchBy = 'name' } = {}) => {
+    const errors = [];
+    const resolveCategory = await buildCategoryResolver();
+
+    // Group the rows into products by name
+    const groups = new Map();
+    rows.forEach(raw => {
+        const fields = readRow(raw, resolveCategory, errors);
+        if (!fields.name) return;
+        const key = fields.name.toLowerCase();
+        if (!groups.has(key)) groups.set(key, { name: fields.name, rows: [] });
+        groups.get(key).rows.push({ row: raw.row, fields });
+    });
+
+    const names = [...groups.values()].map(g => g.name);
+    const skus = [...groups.values()].flatMap(g => g.rows.map(r => r.fields.sku)).filter(Boolean);
+    const existing = await Product.find({ $or: [{ name: { $in: names } }, { 'variants.sku': { $in: skus } }] });
+    const byName = new Map(existing.map(p => [p.name.toLowerCase(), p]));
+    const bySku = new Map();
+    existing.forEach(p => p.variants.forEach(v => { if (v.sku) bySku.set(v.sku, p); }));
+
+    const plan = [];
+    for (const group of groups.values()) {
+        const fail = (row, field, message) => errors.push({ row, field, message });
+        const firstRow = group.rows[0].row;
+
+        // Which product these rows update, if any
+        let product = byName.get(group.name.toLowerCase()) || null;
+        if (matchBy === 'sku') {
+            const matched = new Set(group.rows.map(r => r.fields.sku && bySku.get(r.fields.sku)).filter(Boolean));
+            if (matched.size > 1) {
+                fail(firstRow, 'sku', `The SKUs for "${group.name}" belong to ${matched.size} different products.`);
+                continue;
+            }
+            if (matched.size === 1) {
+                const [bySkuProduct] = matched;
+                if (product && !product._id.equals(bySkuProduct._id)) {
+                    fail(firstRow, 'name', `Another product is already called "${group.name}".`);
+                    continue;
+                }
+                product = bySkuProduct;
+            }
+        }
+
+        // Product-level columns must agree across the group's rows
+        const productFields = {};
+        const firstSeen = {};
+        group.rows.forEach(({ row, fields }) => {
+            PRODUCT_COLUMNS.forEach(column => {
+                if (fields[column] === undefined) return;
+                if (productFields[column] === undefined) {
+                    productFields[column] = fields[column];
+                    firstSeen[column] = row;
+                } else if (!sameValue(productFields[column], fields[column])) {
+                    fail(row, column, `${column} differs from row ${firstSeen[column]} for the same product.`);
+                }
+            });
+        });
+
+        const isNew = !product;
+        if (isNew) {
+            product = new Product({ name: group.name, variants: [] });
+        }
+
+        // Each row's variant, checked here and upserted by applyChanges
+        const variantChanges = [];
+        const changeRows = [];
+        const seen = new Map();
+        group.rows.forEach(({ row, fields }) => {
+            if (!fields.size || !fields.colorName) return;
+
+            const key = variantKey(fields.size, fields.colorName);
+            const duplicateOf = seen.get(key) || (fields.sku && seen.get(`sku:${fields.sku}`));
+            if (duplicateOf) {
+                fail(row, 'size', `Same variant as row ${duplicateOf}.`);
+                return;
+            }
+            seen.set(key, row);
+            if (fields.sku) {
+                const owner = bySku.get(fields.sku);
+                if (owner && !owner._id.equals(product._id)) {
+                    fail(row, 'sku', `SKU ${fields.sku} already belongs to "${owner.name}".`);
+                    return;
+                }
+                seen.set(`sku:${fields.sku}`, row);
+            }
+
+            const changes = { size: fields.size, colorName: fields.colorName };
+            ['colorHex', 'stock', 'sku', 'barcode', 'variantPrice', 'compareAtPrice'].forEach(column => {
+                if (fields[column] !== undefined) changes[VARIANT_COLUMN_FIELDS[column] || column] = fields[column];
+            });
+            variantChanges.push(changes);
+            changeRows.push(row);
+        });
+
+        const changes = { name: group.name, productFields, variants: variantChanges };
+        const { variantIndexes, created, updated } = applyChanges(product, changes);
+        // variant index -> spreadsheet row
+        const variantRows = new Map(variantIndexes.map((index, i) => [index, changeRows[i]]));
+
+        // Schema validation, with each error pinned to the row it came from
+        try {
+            await product.validate();
+        } catch (error) {
+            if (error.name !== 'ValidationError') throw error;
+            Object.entries(error.errors).forEach(([errorPath, detail]) => {
+                const match = /^variants\.(\d+)\.(\w+)/.exec(errorPath);
+                const row = match && variantRows.has(Number(match[1])) ? variantRows.get(Number(match[1])) : firstRow;
+                const field = match ? (COLUMN_FOR_VARIANT_FIELD[match[2]] || match[2]) : errorPath;
+                // Already reported while reading the row (e.g. an unknown category)
+                if (errors.some(e => e.row === row && e.field === field)) return;
+                fail(row, field, detail.message);
+            });
+        }
+
+        const action = isNew ? 'create' : (product.isModified() ? 'update' : 'unchanged');
+        plan.push({
+            product,
+            changes,
+            preview: {
+                name: group.name,
+                action,
+                rows: group.rows.map(r => r.row),
+                variants: { created, updated },
+            },
+        });
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return { errors, plan };
+};
+
+/**
+ * Saves a plan from `planImport` in one transaction, so an import either
+ * lands completely or not at all. Existing products are loaded again inside
+ * it and the planned changes replayed on them: stock sold since planning
+ * must not be written back over, and the ledger must log the real difference.
+ *
+ * @param {Array<object>} plan
+ * @param {{changedBy?: string}} [options] The admin importing, for the price history
+ * @throws {HttpError} 409 if a product was deleted since the plan was made
+ */
+const applyImport = async (plan, { changedBy } = {}) => {
+    const changed = plan.filter(entry => entry.preview.action !== 'unchanged');
+    let orphanedUploads = [];
+    await mongoose.connection.transaction(async (session) => {
+        orphanedUploads = [];
+        for (const entry of changed) {
+            let { product } = entry;
+            if (entry.preview.action !== 'create') {
+                product = await Product.findById(entry.product._id).session(session);
+                if (!product) {
+                    throw new HttpError(409, `"${entry.preview.name}" was deleted during the import. Please upload the file again.`);
+                }
+                const { previousImageUploads } = applyChanges(product, entry.changes);
+                orphanedUploads.push(...previousImageUploads.filter(upload => !product.imageUploads.includes(upload)));
+            }
+            Object.assign(product.$locals, { changedBy, priceSource: 'import', stockReason: 'import' });
+            await product.save({ session });
+        }
+    });
+    await removeStoredImages(orphanedUploads);
+};
+
+/**
+ * Summarises a plan for the API response.
+ */
+const summariseImport = (plan) => {
+    const count = (action) => plan.filter(entry => entry.preview.action === action).length;
+    return {
+        products: { created: count('create'), updated: count('update'), unchanged: count('unchanged') },
+        variants: {
+            created: plan.reduce((sum, entry) => sum + entry.preview.variants.created, 0),
+            updated: plan.reduce((sum, entry) => sum + entry.preview.variants.updated, 0),
+        },
+        preview: plan.map(entry => entry.preview),
+    };
+};
+
+/**
+ * Every variant of every live (not archived) product as export rows, in the import format.
+ *
+ * @returns {Promise<Array<object>>}
+ */
+const exportRows = async () => {
+    const products = await Product.find({ archivedAt: null })
+        .populate('category', 'name ancestors')
+        .sort({ name: 1 })
+        .lean();
+
+    return products.flatMap(product => {
+        const category = product.category
+            ? [...(product.category.ancestors || []).map(a => a.name), product.category.name].join(' > ')
+            : '';
+        return product.variants.map(variant => ({
+            name: product.name,
+            description: product.description,
+            category,
+            price: product.price,
+            hsnCode: product.hsnCode || '',
+            weightGrams: product.weightGrams,
+            images: (product.images || []).join(IMAGE_SEPARATOR),
+            sku: variant.sku || '',
+            barcode: variant.barcode || '',
+            size: variant.size,
+            colorName: variant.colorName,
+            colorHex: variant.colorHex,
+            stock: variant.stock,
+            variantPrice: variant.price === undefined || variant.price === null ? '' : variant.price,
+            compareAtPrice: variant.compareAtPrice === undefined || variant.compareAtPrice === null ? '' : variant.compareAtPrice,
+        }));
+    });
+};
+
+/**
+ * Renders export rows as a CSV or XLSX file.
+ *
+ * @param {Array<object>} rows From `exportRows`
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<Buffer>}
+ */
+const writeSpreadsheet = async (rows, format) => {
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Products');
+        sheet.columns = COLUMNS.map(key => ({ header: key, key, width: key === 'description' ? 60 : 18 }));
+        sheet.addRows(rows);
+        sheet.getRow(1).font = { bold: true };
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+    return Buffer.from(stringify(rows, { header: true, columns: COLUMNS }));
+};
+
+module.exports = {
+    parseSpreadsheet,
+    planImport,
+    applyImport,
+    summariseImport,
+    exportRows,
+    writeSpreadsheet,
+};
@@ -0,0 +1,79 @@
+// Rate-limit counter stores. Each store exports:
+//
+//   name                      Identifier for RATE_LIMIT_STORE
+//   increment(key, windowMs)  -> {count, resetAt}: counts one request in the key's
+//                             current fixed window, starting a new window if needed
+//   reset(key)                Forgets the key's counter
+//
+// RATE_LIMIT_STORE picks the store: 'memory' (default, one server) or
+// 'mongo' (counters shared by every instance).
+const memoryStore = require('./memoryStore');
+const mongoStore = require('./mongoStore');
+
+const stores = {
+    [memoryStore.name]: memoryStore,
+    [mongoStore.name]: mongoStore,
+};
+
+const DEFAULT_STORE = process.env.RATE_LIMIT_STORE || memoryStore.name;
+
+/**
+ * Returns the store for a name (or the configured default).
+ */
+const getStore = (name = DEFAULT_STORE) => {
+    const store = stores[name];
+    if (!store) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return store;
+};
+
+/**
+ * Answers 429 Too Many Requests with a Retry-After header.
+ *
+ * @param {import('express').Response} res
+ * @param {number} retryAfter Seconds until the client may try again
+ * @param {string} message
+ */
+const sendTooManyRequests = (res, retryAfter, message) => {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ message, retryAfter });
+};
+
+const describeWait = (seconds) => (seconds < 120
+    ? `${seconds} seconds`
+    : `${Math.ceil(seconds / 60)} minutes`);
+
+/**
+ * Builds middleware allowing `max` requests per `windowMs` for each key.
+ * Requests without a key (e.g. no email in the body) aren't counted. If the
+ * store fails the request goes through: a broken limiter shouldn't take
+ * logins down with it.
+ *
+ * @param {{name: string, windowMs: number, max: number, key?: (req: import('express').Request) => string}} options
+ *        `name` keeps limits apart in the store; `key` defaults to the client IP
+ */
+const rateLimit = ({ name, windowMs, max, key = (req) => req.ip }) => async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    let counter;
+    try {
+        counter = await getStore().increment(`${name}:${id}`, windowMs);
+    } catch (error) {
+        console.error(`Rate limit store error (${name}):`, error);
+        return next();
+    }
+
+    const retryAfter = Math.max(Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000), 1);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - counter.count, 0)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (counter.count > max) {
+        return sendTooManyRequests(res, retryAfter, `Too many attempts. Please try again in ${describeWait(retryAfter)}.`);
+    }
+    next();
+};
+
+module.exports = { getStore, rateLimit, sendTooManyRequests, describeWait };
@@ -0,0 +1,35 @@
+// Keeps counters in this process's memory. The default: nothing to set up,
+// but each server instance counts on its own and restarts forget everything.
+// Use the mongo store when running several instances.
+
+// How often finished windows are cleared out of memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const counters = new Map();
+
+const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+        if (counter.resetAt <= now) counters.delete(key);
+    });
+}, SWEEP_INTERVAL_MS);
+sweep.unref();
+
+module.exports = {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let counter = counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            counters.set(key, counter);
+        }
+        counter.count += 1;
+        return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async reset(key) {
+        counters.delete(key);
+    },
+};
@@ -0,0 +1,42 @@
+// Keeps counters in MongoDB (models/RateLimitCounter.js), so every server
+// instance shares them.
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+// Starts a new window if the current one is over, then counts the request,
+// all in one atomic update
+const incrementPipeline = (now, windowMs) => {
+    const open = { $gt: ['$resetAt', now] };
+    return [{
+        $set: {
+            count: { $cond: [open, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [open, '$resetAt', new Date(now.getTime() + windowMs)] },
+        },
+    }];
+};
+
+module.exports = {
+    name: 'mongo',
+
+    async increment(key, windowMs) {
+        const now = new Date();
+        const update = () => RateLimitCounter.findOneAndUpdate(
+            { key },
+            incrementPipeline(now, windowMs),
+            { upsert: true, new: true }
+        );
+
+        let counter;
+        try {
+            counter = await update();
+        } catch (error) {
+            // Two first requests raced to create the counter; the other won
+            if (error.code !== 11000) throw error;
+            counter = await update();
+        }
+        return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async reset(key) {
+        await RateLimitCounter.deleteOne({ key });
+    },
+};
@@ -0,0 +1,12 @@
+const Razorpay = require('razorpay');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// One shared Razorpay client for orders, payments, refunds and webhooks.
+const razorpay = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET,
+});
+
+module.exports = razorpay;
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const { HttpError } = require('./httpError');
+const { findVariant } = require('./variants');
+
+// How long an unpaid order holds its stock.
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES || '15', 10);
+// How often the sweeper releases holds whose TTL has run out.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Sums the active, unexpired holds per variant.
+ *
+ * @param {Array<string>} variantIds Variant subdocument IDs
+ * @param {{excludeOrder?: string}} [options] Ignore one order's own holds
+ * @returns {Promise<Map<string, number>>} variant ID -> quantity held
+ */
+const getHeldQuantities = async (variantIds, { excludeOrder } = {}) => {
+    const match = {
+        variant: { $in: variantIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+        status: 'active',
+        expiresAt: { $gt: new Date() },
+    };
+    if (excludeOrder) {
+        match.order = { $ne: new mongoose.Types.ObjectId(String(excludeOrder)) };
+    }
+
+    const totals = await StockReservation.aggregate([
+        { $match: match },
+        { $group: { _id: '$variant', held: { $sum: '$quantity' } } },
+    ]);
+
+    return new Map(totals.map(t => [t._id.toString(), t.held]));
+};
+
+/**
+ * Stock minus what other shoppers are holding, never below zero.
+ */
+const availableStock = (variant, heldMap) => Math.max(0, variant.stock - (heldMap.get(variant._id.toString()) || 0));
+
+/**
+ * Releases an order's active holds.
+ * @param {string} orderId
+ * @param {string} reason Stored on each hold, e.g. 'cancelled' or 'renewed'
+ */
+const releaseReservations = async (orderId, reason) => {
+    await StockReservation.updateMany(
+        { order: orderId, status: 'active' },
+        { $set: { status: 'released', releasedAt: Date.now(), releaseReason: reason } }
+    );
+};
+
+/**
+ * Marks an order's holds as used up once its stock has actually been decremented.
+ */
+const consumeReservations = async (orderId, { session } = {}) => {
+    await StockReservation.updateMany(
+        { order: orderId, status: 'active' },
+        { $set: { status: 'consumed' } },
+        { session }
+    );
+};
+
+/**
+ * Holds stock for every line of an order.
+ *
+ * Holds are written first and checked afterwards: if two shoppers race for
+ * the last piece, both see the combined total exceed stock and back out, so
+ * we may occasionally refuse a sale but never promise one twice.
+ *
+ * @param {{_id: string, user: string, orderItems: Array}} order Need not be saved yet
+ * @returns {Promise<Date>} When the holds expire
+ * @throws {HttpError} 400 if any line can't be held
+ */
+const reserveOrderItems = async (order) => {
+    const productIds = [...new Set(order.orderItems.map(item => String(item.product)))];
+    const products = await Product.find({ _id: { $in: productIds } }).select('name variants');
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+    const lines = order.orderItems.map(item => {
+        const product = productMap.get(String(item.product));
+        const variant = product && findVariant(product, item);
+        if (!variant) {
+            throw new HttpError(404, `Variant not found for ${item.name} (Size: ${item.size}, Color: ${item.colorName})`);
+        }
+        return { item, variant };
+    });
+
+    await StockReservation.insertMany(lines.map(({ item, variant }) => ({
+        order: order._id,
+        user: order.user,
+        product: item.product,
+        variant: variant._id,
+        quantity: item.quantity,
+        expiresAt,
+    })));
+
+    const heldMap = await getHeldQuantities(lines.map(({ variant }) => variant._id));
+    const shortLine = lines.find(({ variant }) => heldMap.get(variant._id.toString()) > variant.stock);
+
+    if (shortLine) {
+        await releaseReservations(order._id, 'insufficient_stock');
+        const { item, variant } = shortLine;
+        const othersHold = heldMap.get(variant._id.toString()) - item.quantity;
+        const left = Math.max(0, variant.stock - othersHold);
+        throw new HttpError(400, `Not enough stock for ${item.name} (${item.size}, ${item.colorName}). Only ${left} left.`);
+    }
+
+    return expiresAt;
+};
+
+/**
+ * Releases every hold whose TTL has run out.
+ */
+const releaseExpiredReservations = async () => {
+    const result = await StockReservation.updateMany(
+        { status: 'active', expiresAt: { $lte: new Date() } },
+        { $set: { status: 'released', releasedAt: Date.now(), releaseReason: 'expired' } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Runs releaseExpiredReservations on a timer. Expired holds already stop
+ * counting the moment they expire; this just keeps their status honest.
+ */
+const startReservationSweeper = () => {
+    const timer = setInterval(() => {
+        releaseExpiredReservations().catch(err => console.error('Error releasing expired reservations:', err));
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    getHeldQuantities,
+    availableStock,
+    reserveOrderItems,
+    releaseReservations,
+    consumeReservations,
+    releaseExpiredReservations,
+    startReservationSweeper,
+};
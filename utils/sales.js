@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const SaleCampaign = require('../models/SaleCampaign');
+const Category = require('../models/Category');
+const PriceHistory = require('../models/PriceHistory');
+const { roundMoney } = require('./money');
+const { variantPrice } = require('./variants');
+
+// "Was ₹X" shows the lowest regular price of this many days, not just the
+// one before the sale, so a price raised the week before can't inflate it.
+const WAS_PRICE_LOOKBACK_DAYS = parseInt(process.env.WAS_PRICE_LOOKBACK_DAYS || '30', 10);
+
+/**
+ * The sale campaigns running at `at`, each with `productIds` and
+ * `categoryIds` (its categories plus everything beneath them) as Sets.
+ *
+ * @param {Date} [at]
+ * @returns {Promise<Array<object>>}
+ */
+const runningCampaigns = async (at = new Date()) => {
+    const campaigns = await SaleCampaign.find({ startsAt: { $lte: at }, endsAt: { $gt: at } }).lean();
+
+    for (const campaign of campaigns) {
+        const categories = campaign.categories.length
+            ? await Category.find({ _id: { $in: campaign.categories } }).select('path')
+            : [];
+        campaign.productIds = new Set(campaign.products.map(String));
+        campaign.categoryIds = new Set((await Category.subtreeIds(categories)).map(String));
+    }
+    return campaigns;
+};
+
+const isScoped = (campaign) => campaign.productIds.size > 0 || campaign.categoryIds.size > 0;
+
+// Whether a campaign covers a product (whose category may be populated)
+const covers = (campaign, product) => {
+    if (!isScoped(campaign)) return true;
+    const category = product.category && product.category._id ? product.category._id : product.category;
+    return campaign.productIds.has(String(product._id)) || campaign.categoryIds.has(String(category));
+};
+
+const discounted = (campaign, price) => (
+    campaign.type === 'percentage'
+        ? roundMoney(price * (1 - campaign.value / 100))
+        : roundMoney(Math.max(price - campaign.value, 0))
+);
+
+/**
+ * What one unit of a variant costs right now.
+ *
+ * @param {object} product
+ * @param {object} variant
+ * @param {Array<object>} campaigns From `runningCampaigns`
+ * @returns {{price: number, listPrice: number, campaign: object|null}}
+ *          `listPrice` is the regular price; `campaign` the sale giving `price`, if any
+ */
+const currentPrice = (product, variant, campaigns) => {
+    const listPrice = variantPrice(product, variant);
+    let best = { price: listPrice, listPrice, campaign: null };
+    campaigns.forEach(campaign => {
+        if (!covers(campaign, product)) return;
+        const price = discounted(campaign, listPrice);
+        if (price < best.price) best = { price, listPrice, campaign };
+    });
+    return best;
+};
+
+/**
+ * The same sale pricing as an aggregation expression, for sorting and
+ * filtering the listing on `field` (e.g. '$minPrice').
+ *
+ * @param {string} field
+ * @param {Array<object>} campaigns From `runningCampaigns`
+ * @returns {object|string}
+ */
+const salePriceExpression = (field, campaigns) => {
+    if (campaigns.length === 0) return field;
+
+    return {
+        $min: [field, ...campaigns.map(campaign => {
+            const price = campaign.type === 'percentage'
+                ? { $round: [{ $multiply: [field, 1 - campaign.value / 100] }, 2] }
+                : { $max: [{ $subtract: [field, campaign.value] }, 0] };
+            if (!isScoped(campaign)) return price;
+            const toIds = (set) => [...set].map(id => new mongoose.Types.ObjectId(id));
+            return {
+                $cond: [
+                    {
+                        $or: [
+                            { $in: ['$_id', toIds(campaign.productIds)] },
+                            { $in: ['$category', toIds(campaign.categoryIds)] },
+                        ],
+                    },
+                    price,
+                    field,
+                ],
+            };
+        })],
+    };
+};
+
+/**
+ * Lowest regular price of each variant over the last WAS_PRICE_LOOKBACK_DAYS,
+ * from the price history. Variants whose price hasn't changed are left out.
+ *
+ * @param {Array<object>} variantIds
+ * @returns {Promise<Map<string, number>>}
+ */
+const lowestRecentPrices = async (variantIds) => {
+    if (variantIds.length === 0) return new Map();
+    const since = new Date(Date.now() - WAS_PRICE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const rows = await PriceHistory.aggregate([
+        { $match: { variant: { $in: variantIds }, changedAt: { $gte: since } } },
+        // An entry's previousPrice was in force until it, so it counts too
+        { $group: { _id: '$variant', lowest: { $min: { $min: ['$price', '$previousPrice'] } } } },
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.lowest]));
+};
+
+/**
+ * Adds sale prices to products about to be sent to the storefront.
+ * Variants on sale get `salePrice` and `wasPrice`; the product gets
+ * `sale: {campaign, minPrice, maxPrice}` (or null).
+ *
+ * @param {Array<object>} products Plain objects (lean, aggregated or toObject())
+ * @param {Array<object>} campaigns From `runningCampaigns`
+ * @returns {Promise<Array<object>>} The same products
+ */
+const applySalePricing = async (products, campaigns) => {
+    const onSale = [];
+    products.forEach(product => {
+        product.sale = null;
+        (product.variants || []).forEach(variant => {
+            const { price, listPrice, campaign } = currentPrice(product, variant, campaigns);
+            if (!campaign) return;
+            variant.salePrice = price;
+            variant.wasPrice = listPrice;
+            onSale.push(variant);
+
+            const sale = product.sale || {
+                campaign: { _id: campaign._id, name: campaign.name, endsAt: campaign.endsAt },
+                minPrice: price,
+                maxPrice: price,
+            };
+            sale.minPrice = Math.min(sale.minPrice, price);
+            sale.maxPrice = Math.max(sale.maxPrice, price);
+            product.sale = sale;
+        });
+    });
+
+    const lowest = await lowestRecentPrices(onSale.map(variant => variant._id));
+    onSale.forEach(variant => {
+        const recent = lowest.get(variant._id.toString());
+        if (recent !== undefined && recent < variant.wasPrice) variant.wasPrice = recent;
+    });
+
+    return products;
+};
+
+/**
+ * What each of a product's variants cost at a moment in the past: the
+ * regular price from the price history, and the sale price if a campaign
+ * covered it then. (Category membership is taken as it is today.)
+ *
+ * @param {object} product
+ * @param {Date} at
+ * @returns {Promise<Array<{variant: object, sku: string, size: string, colorName: string, price: number|null, salePrice: number|null, campaign: object|null}>>}
+ */
+const pricesAt = async (product, at) => {
+    const [entries, campaigns] = await Promise.all([
+        PriceHistory.find({ product: product._id }).sort({ changedAt: 1 }).lean(),
+        runningCampaigns(at),
+    ]);
+
+    return product.variants.map(variant => {
+        const own = entries.filter(e => e.variant.equals(variant._id));
+        const last = own.filter(e => e.changedAt <= at).pop();
+        const next = own.find(e => e.changedAt > at);
+
+        // Variants added after `at` have a first entry with no previous price
+        let price;
+        if (last) price = last.price;
+        else if (next) price = next.previousPrice !== undefined ? next.previousPrice : null;
+        else price = variantPrice(product, variant);
+
+        let sale = null;
+        if (price !== null) {
+            campaigns.forEach(campaign => {
+                if (!covers(campaign, product)) return;
+                const salePrice = discounted(campaign, price);
+                if (salePrice < price && (!sale || salePrice < sale.salePrice)) {
+                    sale = { salePrice, campaign: { _id: campaign._id, name: campaign.name } };
+                }
+            });
+        }
+
+        return {
+            variant: variant._id,
+            sku: variant.sku,
+            size: variant.size,
+            colorName: variant.colorName,
+            price,
+            salePrice: sale ? sale.salePrice : price,
+            campaign: sale ? sale.campaign : null,
+        };
+    });
+};
+
+module.exports = {
+    runningCampaigns,
+    currentPrice,
+    salePriceExpression,
+    applySalePricing,
+    pricesAt,
+};
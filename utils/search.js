@@ -0,0 +1,208 @@
+// Product search: tokenises the query and each product, then ranks by how many
+// query words matched and where (name beats description). Matching tolerates
+// plurals, common misspellings/transliterations and small typos.
+
+// How much a hit in each field counts towards the score
+const FIELD_WEIGHTS = { name: 5, category: 3, colour: 3, description: 1 };
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'in', 'of', 'on', 'to', 'by']);
+
+// Spellings shoppers type -> the spelling used in the catalogue.
+// Hindi colour and fabric words map to the English ones we list products under.
+const SPELLINGS = {
+    kurtha: 'kurta', kurtaa: 'kurta', khurta: 'kurta',
+    kurthi: 'kurti', kurtee: 'kurti',
+    shalwar: 'salwar', salvar: 'salwar', salwaar: 'salwar',
+    lehnga: 'lehenga', lengha: 'lehenga', lehanga: 'lehenga', lahenga: 'lehenga', lahanga: 'lehenga',
+    duppata: 'dupatta', dupata: 'dupatta', dupptta: 'dupatta', chunri: 'dupatta', chunni: 'dupatta',
+    sari: 'saree', saari: 'saree',
+    pajama: 'pyjama', payjama: 'pyjama', pyjamma: 'pyjama',
+    churidaar: 'churidar', chudidar: 'churidar',
+    sherwany: 'sherwani', sherwanee: 'sherwani',
+    gray: 'grey',
+    neela: 'blue', nila: 'blue', neeli: 'blue',
+    lal: 'red', laal: 'red',
+    kala: 'black', kaala: 'black', kali: 'black',
+    safed: 'white', safaid: 'white', sufed: 'white',
+    hara: 'green', hari: 'green',
+    peela: 'yellow', pila: 'yellow', peeli: 'yellow',
+    gulabi: 'pink',
+    narangi: 'orange',
+    bhura: 'brown',
+    sunehra: 'gold', sunehri: 'gold',
+    suti: 'cotton', sooti: 'cotton',
+    resham: 'silk', reshmi: 'silk',
+};
+
+const normaliseText = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Folds a single word to its canonical form: known spelling, then a naive plural strip
+const canonicalWord = (word) => {
+    if (SPELLINGS[word]) return SPELLINGS[word];
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+        const singular = word.slice(0, -1);
+        return SPELLINGS[singular] || singular;
+    }
+    return word;
+};
+
+/**
+ * Splits text into canonical search tokens (stop words dropped).
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => normaliseText(text)
+    .split(' ')
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(canonicalWord);
+
+// Typos allowed for a word of this length: none for short words, then 1, then 2
+const allowedEdits = (length) => (length <= 3 ? 0 : length <= 5 ? 1 : 2);
+
+/**
+ * Levenshtein distance, giving up (returning max + 1) once it exceeds `max`.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// 1 for an exact word, less for a prefix or a typo, 0 for no match
+const matchQuality = (queryToken, fieldTokens) => {
+    let best = 0;
+    const maxEdits = allowedEdits(queryToken.length);
+
+    for (const token of fieldTokens) {
+        if (token === queryToken) return 1;
+        if (queryToken.length >= 3 && token.startsWith(queryToken)) {
+            best = Math.max(best, 0.8);
+            continue;
+        }
+        if (maxEdits > 0) {
+            const distance = editDistance(queryToken, token, maxEdits);
+            if (distance <= maxEdits) {
+                best = Math.max(best, 0.7 - 0.1 * distance);
+            }
+        }
+    }
+    return best;
+};
+
+/**
+ * Breaks a product into the token lists each field is matched against.
+ * Expects `category` to be populated with at least `name` (and `ancestors`).
+ *
+ * @param {object} product
+ * @returns {{name: Array<string>, category: Array<string>, colour: Array<string>, description: Array<string>, phrase: string}}
+ */
+const indexProduct = (product) => ({
+    name: tokenize(product.name),
+    // "Women > Kurtas" matches "women kurta"
+    category: tokenize(product.category && [
+        ...(product.category.ancestors || []).map(a => a.name),
+        product.category.name,
+    ].join(' ')),
+    colour: tokenize((product.variants || []).map(v => v.colorName).join(' ')),
+    description: tokenize(product.description),
+    phrase: tokenize(product.name).join(' '),
+});
+
+/**
+ * Scores a product against the query tokens.
+ *
+ * @param {Array<string>} queryTokens From `tokenize`
+ * @param {object} product
+ * @returns {{matched: number, score: number}}
+ */
+const scoreProduct = (queryTokens, product) => {
+    const fields = indexProduct(product);
+
+    let matched = 0;
+    let score = 0;
+    queryTokens.forEach(queryToken => {
+        let best = 0;
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            best = Math.max(best, weight * matchQuality(queryToken, fields[field]));
+        });
+        if (best > 0) {
+            matched += 1;
+            score += best;
+        }
+    });
+
+    // The whole query appearing in the name, in order, beats scattered hits
+    if (queryTokens.length > 1 && fields.phrase.includes(queryTokens.join(' '))) {
+        score += FIELD_WEIGHTS.name;
+    }
+
+    return { matched, score };
+};
+
+/**
+ * Ranks products for a query. Products matching more query words come first,
+ * then higher scores; products matching nothing are dropped.
+ *
+ * @param {string} query
+ * @param {Array<object>} products Plain products with `category` populated
+ * @returns {Array<object>} The matching products, each with a `relevance` score
+ */
+const rankProducts = (query, products) => {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) return [];
+
+    return products
+        .map(product => ({ product, ...scoreProduct(queryTokens, product) }))
+        .filter(hit => hit.matched > 0)
+        .sort((a, b) => b.matched - a.matched || b.score - a.score)
+        .map(hit => ({ ...hit.product, relevance: Math.round(hit.score * 100) / 100 }));
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a case-insensitive "starts a word" regex for autocomplete. The last
+ * word is canonicalised too, so "neela" suggests blue products.
+ *
+ * @param {string} query
+ * @returns {RegExp|null}
+ */
+const prefixRegex = (query) => {
+    const words = normaliseText(query).split(' ').filter(Boolean);
+    if (words.length === 0) return null;
+
+    const last = words.pop();
+    const lastAlternatives = [...new Set([last, canonicalWord(last)])].map(escapeRegex).join('|');
+    const lead = words.map(escapeRegex).join('\\W+');
+    return new RegExp(`\\b${lead ? `${lead}\\W+` : ''}(${lastAlternatives})`, 'i');
+};
+
+module.exports = {
+    tokenize,
+    editDistance,
+    rankProducts,
+    prefixRegex,
+};
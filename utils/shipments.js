@@ -0,0 +1,86 @@
+const { getCarrier, ORDER_STATUS_FOR_TRACKING } = require('./carriers');
+const { canTransition, transitionOrder } = require('./orderStatus');
+const { HttpError } = require('./httpError');
+const { recordCodCollection } = require('./payments');
+
+// The order statuses tracking can move an order through, in order.
+const FULFILMENT_STEPS = ['shipped', 'out_for_delivery', 'delivered'];
+
+/**
+ * Books a shipment with a carrier and attaches it to the order.
+ * A paid (or confirmed COD) order moves to `packed`; it becomes `shipped` once the carrier
+ * reports a pickup. Does not save the order.
+ *
+ * @param {object} order Order document
+ * @param {{carrier?: string, actor?: string}} [options]
+ * @throws {HttpError} 409 if the order isn't ready to ship or already has a shipment
+ */
+const bookShipment = async (order, { carrier: carrierName, actor } = {}) => {
+    if (order.shipment && order.shipment.awbNumber) {
+        throw new HttpError(409, `Order already has shipment ${order.shipment.awbNumber}.`);
+    }
+    const canPack = canTransition(order.status, 'packed', order.paymentMethod);
+    if (!canPack && order.status !== 'packed') {
+        throw new HttpError(409, `Cannot ship an order that is ${order.status}.`);
+    }
+
+    const carrier = getCarrier(carrierName);
+    const booking = await carrier.createShipment(order);
+
+    order.shipment = {
+        carrier: carrier.name,
+        awbNumber: booking.awbNumber,
+        trackingUrl: booking.trackingUrl,
+        expectedDeliveryDate: booking.expectedDeliveryDate,
+        status: 'manifested',
+        events: [],
+        bookedAt: Date.now(),
+    };
+
+    if (canPack) {
+        transitionOrder(order, 'packed', { actor, note: `Shipment booked with ${carrier.name} (AWB ${booking.awbNumber})` });
+    }
+    return order;
+};
+
+/**
+ * Pulls the latest tracking from the carrier and moves the order status
+ * forward to match. Does not save the order.
+ *
+ * @returns {Promise<{order: object, codCollected: boolean}>} `codCollected` is
+ *          true if this sync recorded a courier's COD cash collection; call
+ *          finaliseCodPayment() after saving.
+ */
+const syncShipment = async (order) => {
+    if (!order.shipment || !order.shipment.awbNumber) return { order, codCollected: false };
+
+    const carrier = getCarrier(order.shipment.carrier);
+    const tracking = await carrier.getTracking(order.shipment.awbNumber);
+
+    order.shipment.status = tracking.status;
+    order.shipment.events = tracking.events;
+    if (tracking.expectedDeliveryDate) {
+        order.shipment.expectedDeliveryDate = tracking.expectedDeliveryDate;
+    }
+    order.shipment.lastSyncedAt = Date.now();
+
+    const target = ORDER_STATUS_FOR_TRACKING[tracking.status];
+    if (target) {
+        const steps = FULFILMENT_STEPS.slice(0, FULFILMENT_STEPS.indexOf(target) + 1);
+        steps.forEach(step => {
+            if (canTransition(order.status, step, order.paymentMethod)) {
+                transitionOrder(order, step, { note: `${order.shipment.carrier} tracking: ${tracking.status}` });
+            }
+        });
+    }
+
+    let codCollected = false;
+    if (tracking.codCollected && order.paymentMethod === 'cod' && !order.paidAt && order.status !== 'cancelled') {
+        recordCodCollection(order, { source: 'courier' });
+        codCollected = true;
+    }
+
+    return { order, codCollected };
+};
+
+module.exports = { bookShipment, syncShipment };
@@ -0,0 +1,85 @@
+const ShippingZone = require('../models/ShippingZone');
+const { HttpError } = require('./httpError');
+
+// Used until any shipping zones are configured, and for quotes without an address.
+const FALLBACK_SHIPPING_FEE = parseFloat(process.env.SHIPPING_FEE || '99');
+const FALLBACK_FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD || '999');
+
+const normaliseState = (state) => String(state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Picks the zone for an address: longest matching PIN prefix, then state,
+ * then the default zone.
+ *
+ * @param {Array<object>} zones Active ShippingZone documents
+ * @param {{postalCode?: string, state?: string}} address
+ * @returns {object|null}
+ */
+const matchZone = (zones, { postalCode, state }) => {
+    const pin = String(postalCode || '').trim();
+
+    let best = null;
+    let bestLength = 0;
+    zones.forEach(zone => {
+        zone.pinPrefixes.forEach(prefix => {
+            if (pin.startsWith(prefix) && prefix.length > bestLength) {
+                best = zone;
+                bestLength = prefix.length;
+            }
+        });
+    });
+    if (best) return best;
+
+    const wantedState = normaliseState(state);
+    if (wantedState) {
+        const byState = zones.find(zone => zone.states.some(s => normaliseState(s) === wantedState));
+        if (byState) return byState;
+    }
+
+    return zones.find(zone => zone.isDefault) || null;
+};
+
+const inRange = (value, min, max) => value >= (min || 0) && (max === undefined || max === null || value <= max);
+
+/**
+ * Works out the shipping charge for a cart.
+ *
+ * @param {{address?: {postalCode?: string, state?: string}, weightGrams: number, cartValue: number}} params
+ * @returns {Promise<{shipping: number, zone: string|null, freeShipping: boolean, codAvailable: boolean, estimatedDays: object|null}>}
+ * @throws {HttpError} 400 if we don't deliver to the address
+ */
+const quoteShipping = async ({ address, weightGrams, cartValue }) => {
+    const zones = address ? await ShippingZone.find({ isActive: true }) : [];
+
+    if (zones.length === 0) {
+        const freeShipping = cartValue >= FALLBACK_FREE_SHIPPING_THRESHOLD;
+        return {
+            shipping: freeShipping ? 0 : FALLBACK_SHIPPING_FEE,
+            zone: null,
+            freeShipping,
+            codAvailable: true,
+            estimatedDays: null,
+        };
+    }
+
+    const zone = matchZone(zones, address);
+    if (!zone) {
+        throw new HttpError(400, `Sorry, we don't deliver to PIN code ${address.postalCode || ''} yet.`);
+    }
+
+    const estimatedDays = { min: zone.estimatedDays.min, max: zone.estimatedDays.max };
+    if (zone.freeShippingThreshold !== undefined && zone.freeShippingThreshold !== null
+        && cartValue >= zone.freeShippingThreshold) {
+        return { shipping: 0, zone: zone.name, freeShipping: true, codAvailable: zone.codAvailable, estimatedDays };
+    }
+
+    const rate = zone.rates.find(r => inRange(weightGrams, r.minWeightGrams, r.maxWeightGrams)
+        && inRange(cartValue, r.minCartValue, r.maxCartValue));
+    if (!rate) {
+        throw new HttpError(400, `Sorry, this order can't be shipped to ${zone.name}. Please contact us.`);
+    }
+
+    return { shipping: rate.price, zone: zone.name, freeShipping: rate.price === 0, codAvailable: zone.codAvailable, estimatedDays };
+};
+
+module.exports = { matchZone, quoteShipping };
@@ -0,0 +1,19 @@
+// Development stand-in: prints each text to the console instead of sending
+// it, and also appends it to SMS_LOG_FILE when that is set. Never use it in
+// production; it would put login codes in the logs.
+const fs = require('fs/promises');
+const path = require('path');
+
+const LOG_FILE = process.env.SMS_LOG_FILE ? path.resolve(process.env.SMS_LOG_FILE) : null;
+
+module.exports = {
+    name: 'console',
+
+    async send(to, message) {
+        console.log(`[SMS to ${to}] ${message}`);
+        if (LOG_FILE) {
+            await fs.mkdir(path.dirname(LOG_FILE), { recursive: true });
+            await fs.appendFile(LOG_FILE, `${new Date().toISOString()}\t${to}\t${message}\n`);
+        }
+    },
+};
@@ -0,0 +1,27 @@
+// SMS provider adapters. Each adapter exports:
+//
+//   name                  Identifier for SMS_PROVIDER
+//   send(to, message)     Sends one text; `to` is in E.164 form (e.g. '+919876543210')
+//
+// SMS_PROVIDER picks the adapter (default 'console', which only logs).
+// To add a real provider, write an adapter next to consoleSms.js and register it below.
+const consoleSms = require('./consoleSms');
+
+const providers = {
+    [consoleSms.name]: consoleSms,
+};
+
+const DEFAULT_PROVIDER = process.env.SMS_PROVIDER || consoleSms.name;
+
+/**
+ * Returns the adapter for a provider name (or the configured default).
+ */
+const getSmsProvider = (name = DEFAULT_PROVIDER) => {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    return provider;
+};
+
+module.exports = { getSmsProvider };
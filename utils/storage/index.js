@@ -0,0 +1,31 @@
+// File storage adapters. Each adapter exports:
+//
+//   name                            Identifier stored next to each uploaded file set
+//   save(key, buffer, contentType)  -> public URL of the stored file
+//   remove(key)                     Deletes the file; a missing file is not an error
+//
+// Keys are generated by us (e.g. 'products/<productId>/<uuid>-card.webp'), never
+// taken from the client. STORAGE_DRIVER picks the adapter for new uploads;
+// existing files are always removed through the adapter that stored them.
+const localStorage = require('./localStorage');
+const s3Storage = require('./s3Storage');
+
+const adapters = {
+    [localStorage.name]: localStorage,
+    [s3Storage.name]: s3Storage,
+};
+
+const DEFAULT_STORAGE = process.env.STORAGE_DRIVER || localStorage.name;
+
+/**
+ * Returns the adapter for a storage name (or the configured default).
+ */
+const getStorage = (name = DEFAULT_STORAGE) => {
+    const storage = adapters[name];
+    if (!storage) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+    return storage;
+};
+
+module.exports = { getStorage };
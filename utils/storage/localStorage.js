@@ -0,0 +1,27 @@
+// Stores files on the server's disk under UPLOAD_DIR; server.js serves that
+// directory at /uploads. Fine for a single server; use S3 when running several.
+const fs = require('fs/promises');
+const path = require('path');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+// Prefix of the URLs we hand out. Set it to the API's public address (e.g.
+// https://api.example.com/uploads) when the storefront runs on another origin.
+const PUBLIC_URL = (process.env.UPLOAD_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+
+module.exports = {
+    name: 'local',
+    directory: UPLOAD_DIR,
+    // Path server.js serves the directory at
+    mountPath: new URL(PUBLIC_URL, 'http://localhost').pathname,
+
+    async save(key, buffer) {
+        const file = path.join(UPLOAD_DIR, key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+        return `${PUBLIC_URL}/${key}`;
+    },
+
+    async remove(key) {
+        await fs.rm(path.join(UPLOAD_DIR, key), { force: true });
+    },
+};
@@ -0,0 +1,52 @@
+// Stores files in an S3 bucket, or any S3-compatible store (R2, Spaces, MinIO)
+// via S3_ENDPOINT. Credentials come from the usual AWS environment variables.
+// The AWS SDK is only loaded when this adapter is used:
+//   npm install @aws-sdk/client-s3
+const BUCKET = process.env.S3_BUCKET;
+const REGION = process.env.S3_REGION || 'ap-south-1';
+const ENDPOINT = process.env.S3_ENDPOINT;
+// Where the files are publicly readable, e.g. a CDN in front of the bucket
+const PUBLIC_URL = (process.env.S3_PUBLIC_URL || (ENDPOINT
+    ? `${ENDPOINT.replace(/\/$/, '')}/${BUCKET}`
+    : `https://${BUCKET}.s3.${REGION}.amazonaws.com`)).replace(/\/$/, '');
+
+let sdk = null;
+let client = null;
+
+const getClient = () => {
+    if (client) return client;
+    if (!BUCKET) {
+        throw new Error('S3 storage needs S3_BUCKET to be set');
+    }
+    try {
+        sdk = require('@aws-sdk/client-s3');
+    } catch (error) {
+        throw new Error('S3 storage needs the @aws-sdk/client-s3 package (npm install @aws-sdk/client-s3)');
+    }
+    client = new sdk.S3Client({
+        region: REGION,
+        endpoint: ENDPOINT,
+        forcePathStyle: Boolean(ENDPOINT),
+    });
+    return client;
+};
+
+module.exports = {
+    name: 's3',
+
+    async save(key, buffer, contentType) {
+        await getClient().send(new sdk.PutObjectCommand({
+            Bucket: BUCKET,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType,
+            // Keys are unique per upload, so the files never change
+            CacheControl: 'public, max-age=31536000, immutable',
+        }));
+        return `${PUBLIC_URL}/${key}`;
+    },
+
+    async remove(key) {
+        await getClient().send(new sdk.DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+    },
+};
@@ -0,0 +1,64 @@
+const Product = require('../models/Product');
+
+// Cart and order lines point at a variant by its `_id` (or SKU). Older clients,
+// carts and orders only carry size + colorName, so that still works as a fallback.
+
+const normaliseSku = (sku) => String(sku).trim().toUpperCase();
+
+/**
+ * Finds a product's variant from whatever the line carries: `variant` /
+ * `variantId`, then `sku`, then `size` + `colorName`.
+ *
+ * @param {object} product Product document (or lean object)
+ * @param {{variant?: string, variantId?: string, sku?: string, size?: string, colorName?: string}} ref
+ * @returns {object|null}
+ */
+const findVariant = (product, { variant, variantId, sku, size, colorName } = {}) => {
+    const id = variantId || variant;
+    if (id) {
+        return product.variants.find(v => v._id.toString() === String(id)) || null;
+    }
+    if (sku) {
+        return product.variants.find(v => v.sku === normaliseSku(sku)) || null;
+    }
+    return product.variants.find(v => v.size === size && v.colorName === colorName) || null;
+};
+
+/**
+ * Loads the product and variant a request refers to. `productId` may be left
+ * out when the variant is given by SKU or `_id`, which are unique catalogue-wide.
+ *
+ * @param {{productId?: string, variantId?: string, sku?: string, size?: string, colorName?: string}} ref
+ * @returns {Promise<{product: object|null, variant: object|null}>}
+ */
+const loadVariant = async (ref) => {
+    const { productId, variantId, sku } = ref;
+    let product = null;
+    if (productId) {
+        product = await Product.findById(productId);
+    } else if (variantId) {
+        product = await Product.findOne({ 'variants._id': variantId });
+    } else if (sku) {
+        product = await Product.findOne({ 'variants.sku': normaliseSku(sku) });
+    }
+    return { product, variant: product ? findVariant(product, ref) : null };
+};
+
+/**
+ * What one unit of a variant sells for: its own price, or the product's.
+ */
+const variantPrice = (product, variant) => (
+    variant.price !== undefined && variant.price !== null ? variant.price : product.price
+);
+
+/**
+ * The `$elemMatch` conditions picking a line's variant inside Product.variants.
+ *
+ * @param {{variant?: object, size?: string, colorName?: string}} item Order/cart/return line
+ * @returns {object}
+ */
+const variantMatch = (item) => (
+    item.variant ? { _id: item.variant } : { size: item.size, colorName: item.colorName }
+);
+
+module.exports = { findVariant, loadVariant, variantPrice, variantMatch };